@@ -0,0 +1,252 @@
+#!/usr/bin/env node
+// Command-line access to the solver, generator and validator, without the browser:
+//
+//   ball-sort solve <file...>      solve every puzzle and print its moves and search statistics
+//   ball-sort generate             generate puzzles at a difficulty, reproducibly with --seed
+//   ball-sort validate <file...>   check every puzzle
+//
+// Run with --help for the options. Exits with 1 when a puzzle is invalid, cannot
+// be solved or cannot be generated, and with 2 for bad arguments.
+import { readFileSync } from 'node:fs';
+import { parseArgs } from 'node:util';
+import { validatePuzzle, describeMoves, RULESETS } from '../src/lib/puzzle.js';
+import { solvePuzzle, ALGORITHMS } from '../src/lib/solver.js';
+import { generatePuzzle, DIFFICULTIES, DEFAULT_BOARD_CONFIG, BOARD_LIMITS } from '../src/lib/generator.js';
+import { encodePuzzle } from '../src/lib/puzzleCode.js';
+import { parsePuzzleFile } from '../src/lib/puzzleFile.js';
+import { randomSeed } from '../src/lib/random.js';
+import { formatBytes } from '../src/lib/utils.js';
+
+const EXIT_FAILED = 1;
+const EXIT_USAGE = 2;
+
+const USAGE = `Usage: ball-sort <command> [options]
+
+Commands:
+  solve <file...>      Solve every puzzle in the files; prints the moves and search statistics
+  generate             Generate puzzles at a difficulty
+  validate <file...>   Check every puzzle in the files
+
+Puzzle files are JSON (a puzzle { tubes, maxBalls, tubeSpecs }, an array of them, or
+{ puzzles: [...] }) or text with one puzzle code or share link per line. Use - to
+read standard input. The output of generate can be read back as a puzzle file.
+
+Options for solve:
+  --algorithm <name>     ${Object.keys(ALGORITHMS).join(', ')} (default astar)
+  --rules <name>         ${Object.keys(RULESETS).join(', ')} (default single)
+  --time-limit <s>       Give up on a puzzle after this many seconds
+  --memory-limit <MB>    Give up on a puzzle whose search needs more memory (estimated)
+  --compare-encodings    Search again with tube-order keys and report what canonical keys saved
+
+Options for generate:
+  --difficulty <level>   ${Object.keys(DIFFICULTIES).join(', ')} (default Easy)
+  --count <n>            Number of puzzles (default 1)
+  --seed <seed>          The first puzzle uses the seed, the nth after it <seed>-<n+1>
+  --colors <n>           Colours, one full tube each (${BOARD_LIMITS.colors.min}-${BOARD_LIMITS.colors.max}, default ${DEFAULT_BOARD_CONFIG.colors})
+  --capacity <n>         Balls per tube (${BOARD_LIMITS.capacity.min}-${BOARD_LIMITS.capacity.max}, default ${DEFAULT_BOARD_CONFIG.capacity})
+  --empty-tubes <n>      Spare tubes (${BOARD_LIMITS.emptyTubes.min}-${BOARD_LIMITS.emptyTubes.max}, default ${DEFAULT_BOARD_CONFIG.emptyTubes})
+  --rules <name>         Rules the puzzles are rated under (default single)
+
+Any command:
+  --json                 Print the results as JSON
+  -h, --help             Show this help
+`;
+
+const OPTIONS = {
+  algorithm: { type: 'string', default: 'astar' },
+  rules: { type: 'string', default: 'single' },
+  'time-limit': { type: 'string' },
+  'memory-limit': { type: 'string' },
+  'compare-encodings': { type: 'boolean', default: false },
+  difficulty: { type: 'string', default: 'Easy' },
+  count: { type: 'string', default: '1' },
+  seed: { type: 'string' },
+  colors: { type: 'string', default: String(DEFAULT_BOARD_CONFIG.colors) },
+  capacity: { type: 'string', default: String(DEFAULT_BOARD_CONFIG.capacity) },
+  'empty-tubes': { type: 'string', default: String(DEFAULT_BOARD_CONFIG.emptyTubes) },
+  json: { type: 'boolean', default: false },
+  help: { type: 'boolean', short: 'h', default: false }
+};
+
+function usageError(message) {
+  console.error(`ball-sort: ${message}\nRun "ball-sort --help" for usage.`);
+  process.exit(EXIT_USAGE);
+}
+
+function positiveNumber(values, name) {
+  const number = Number(values[name]);
+  if (!(number > 0)) usageError(`--${name} must be a positive number, not "${values[name]}"`);
+  return number;
+}
+
+// A board size option; out-of-range values are rejected rather than clamped
+function boardOption(values, name, key) {
+  const number = Number(values[name]);
+  const { min, max } = BOARD_LIMITS[key];
+  if (!Number.isInteger(number) || number < min || number > max) {
+    usageError(`--${name} must be a whole number from ${min} to ${max}, not "${values[name]}"`);
+  }
+  return number;
+}
+
+function oneOf(values, name, choices) {
+  const match = Object.keys(choices).find(key => key.toLowerCase() === values[name].toLowerCase());
+  if (!match) usageError(`--${name} must be one of ${Object.keys(choices).join(', ')}, not "${values[name]}"`);
+  return match;
+}
+
+// Every puzzle in the files, as { label, puzzle, error } (see puzzleFile.js). A file
+// without any puzzles is an error too, so it fails the command rather than passing
+// unnoticed.
+function readPuzzles(files) {
+  if (files.length === 0) usageError('no puzzle files given');
+  return files.flatMap(file => {
+    const label = file === '-' ? 'stdin' : file;
+    try {
+      const puzzles = parsePuzzleFile(readFileSync(file === '-' ? 0 : file, 'utf8'), label);
+      return puzzles.length > 0 ? puzzles : [{ label, puzzle: null, error: 'No puzzles found' }];
+    } catch (e) {
+      return [{ label, puzzle: null, error: `Cannot read file: ${e.message}` }];
+    }
+  });
+}
+
+const describeStats = stats => [
+  `${ALGORITHMS[stats.algorithm].label}: ${stats.totalStatesExplored.toLocaleString()} states explored in `
+    + `${stats.searchDuration.toFixed(2)} s (${stats.statesPerSecond.toLocaleString()} states/s)`,
+  `${stats.algorithm === 'idastar' ? 'max depth' : 'max queue'} ${stats.maxQueueSize.toLocaleString()}`,
+  ...(stats.peakMemoryBytes > 0 ? [`~${formatBytes(stats.peakMemoryBytes)} peak memory`] : [])
+].join(', ');
+
+// Measured against a tube-order search; key memory is estimated from the state counts
+const describeComparison = ({ orderedStatesExplored, statesExploredReduction, keyMemoryReduction, orderedStoppedEarly }) =>
+  `Canonical keys: ${orderedStoppedEarly ? 'at least ' : ''}${Math.round(statesExploredReduction * 100)}% fewer states `
+    + `than tube-order keys (${orderedStatesExplored.toLocaleString()}), ~${Math.round(keyMemoryReduction * 100)}% less key memory`
+    + (orderedStoppedEarly ? ` (tube-order search stopped: ${orderedStoppedEarly})` : '');
+
+function solveCommand(files, values) {
+  const algorithm = oneOf(values, 'algorithm', ALGORITHMS);
+  const rules = oneOf(values, 'rules', RULESETS);
+  const options = { algorithm, rules, compareEncodings: values['compare-encodings'] };
+  if (values['time-limit'] !== undefined) options.timeLimit = positiveNumber(values, 'time-limit') * 1000;
+  if (values['memory-limit'] !== undefined) options.memoryLimit = positiveNumber(values, 'memory-limit') * 1024 * 1024;
+
+  const results = readPuzzles(files).map(({ label, puzzle, error }) => {
+    if (error) return { source: label, solvable: false, error };
+    const { tubes, maxBalls, tubeSpecs } = puzzle;
+    let result;
+    try {
+      result = solvePuzzle(tubes, maxBalls, { ...options, tubeSpecs });
+    } catch (e) {
+      return { source: label, solvable: false, error: `Solver failed: ${e.message}` };
+    }
+    return {
+      source: label,
+      code: encodePuzzle(tubes, maxBalls, tubeSpecs),
+      solvable: result.solvable,
+      moves: result.moves,
+      descriptions: describeMoves(tubes, result.moves),
+      error: result.validation ? `Invalid puzzle: ${result.validation.errors.join('; ')}` : result.error ?? null,
+      searchStats: result.searchStats
+    };
+  });
+
+  if (values.json) {
+    console.log(JSON.stringify(results, null, 2));
+  } else {
+    results.forEach(result => {
+      console.log(`${result.source}${result.code ? `  ${result.code}` : ''}`);
+      if (result.solvable) {
+        console.log(`  Solved in ${result.moves.length} moves`);
+        result.descriptions.forEach((description, idx) => console.log(`    ${idx + 1}. ${description}`));
+      } else {
+        console.log(`  Not solved: ${result.error}`);
+      }
+      if (result.searchStats) console.log(`  ${describeStats(result.searchStats)}`);
+      if (result.searchStats?.encodingComparison) console.log(`  ${describeComparison(result.searchStats.encodingComparison)}`);
+    });
+  }
+  return results.every(result => result.solvable) ? 0 : EXIT_FAILED;
+}
+
+function generateCommand(values) {
+  const difficulty = oneOf(values, 'difficulty', DIFFICULTIES);
+  const rules = oneOf(values, 'rules', RULESETS);
+  const count = positiveNumber(values, 'count');
+  if (!Number.isInteger(count)) usageError(`--count must be a whole number, not "${values.count}"`);
+  const config = {
+    colors: boardOption(values, 'colors', 'colors'),
+    capacity: boardOption(values, 'capacity', 'capacity'),
+    emptyTubes: boardOption(values, 'empty-tubes', 'emptyTubes')
+  };
+  const baseSeed = values.seed ?? randomSeed();
+
+  const results = Array.from({ length: count }, (_, idx) => {
+    const seed = idx === 0 ? baseSeed : `${baseSeed}-${idx + 1}`;
+    const puzzle = generatePuzzle(difficulty, config, { seed, rules });
+    return puzzle
+      ? { tubes: puzzle.tubes, maxBalls: puzzle.maxBalls, code: encodePuzzle(puzzle.tubes, puzzle.maxBalls), rating: puzzle.rating }
+      : { seed, error: 'No solvable puzzle found within the search budget' };
+  });
+
+  if (values.json) {
+    console.log(JSON.stringify({ puzzles: results }, null, 2));
+  } else {
+    results.forEach(result => {
+      if (result.error) {
+        console.log(`# seed ${result.seed}: ${result.error}`);
+        return;
+      }
+      const { rating } = result;
+      console.log(`# ${rating.difficulty}${rating.inBand ? '' : ` (asked for ${difficulty})`}, score ${rating.score}, `
+        + `${rating.optimalMoves} optimal moves, seed ${rating.seed}`);
+      console.log(result.code);
+    });
+  }
+  return results.every(result => !result.error) ? 0 : EXIT_FAILED;
+}
+
+function validateCommand(files, values) {
+  const results = readPuzzles(files).map(({ label, puzzle, error }) => {
+    const errors = error ? [error] : validatePuzzle(puzzle.tubes, puzzle.maxBalls, puzzle.tubeSpecs).errors;
+    return { source: label, valid: errors.length === 0, errors };
+  });
+
+  if (values.json) {
+    console.log(JSON.stringify(results, null, 2));
+  } else {
+    results.forEach(result => {
+      console.log(result.valid ? `${result.source}: valid` : `${result.source}: invalid: ${result.errors.join('; ')}`);
+    });
+    console.log(`${results.filter(result => result.valid).length} of ${results.length} puzzles valid`);
+  }
+  return results.length > 0 && results.every(result => result.valid) ? 0 : EXIT_FAILED;
+}
+
+const COMMANDS = {
+  solve: solveCommand,
+  generate: (files, values) => {
+    if (files.length > 0) usageError('generate takes no files');
+    return generateCommand(values);
+  },
+  validate: validateCommand
+};
+
+function main(args) {
+  let parsed;
+  try {
+    parsed = parseArgs({ args, options: OPTIONS, allowPositionals: true });
+  } catch (e) {
+    usageError(e.message);
+  }
+  const { values, positionals: [command, ...files] } = parsed;
+
+  if (values.help || !command) {
+    console.log(USAGE);
+    return values.help ? 0 : EXIT_USAGE;
+  }
+  if (!COMMANDS[command]) usageError(`unknown command "${command}"`);
+  return COMMANDS[command](files, values);
+}
+
+process.exitCode = main(process.argv.slice(2));
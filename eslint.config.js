@@ -35,4 +35,8 @@ export default [
       ],
     },
   },
+  {
+    files: ['bin/**/*.js'],
+    languageOptions: { globals: globals.node },
+  },
 ]
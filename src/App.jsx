@@ -1,20 +1,41 @@
-import React, { useState, useEffect, useRef } from 'react';
+import { useState, useRef, useEffect, useMemo } from 'react';
 import { Button } from './components/ui/button';
 import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
-import { AlertCircle, CheckCircle2, Loader2, Undo2, Redo2, ChevronDown } from 'lucide-react';
+import { AlertCircle, CheckCircle2, Loader2, Undo2, Redo2, ChevronDown, XCircle, Lightbulb, Settings2, Share2, Pencil, ImageUp, EyeOff, Lock, FolderOpen, ChartColumn, Palette, GitBranch, Clapperboard } from 'lucide-react';
 import Confetti from 'react-confetti'; // Import Confetti
-
-const COLORS = {
-  LB: { name: 'LIGHT_BLUE',  hex: '#87CEEB' },
-  DB: { name: 'DARK_BLUE',   hex: '#0000CD' },
-  LG: { name: 'LIGHT_GREEN', hex: '#90EE90' },
-  DG: { name: 'DARK_GREEN',  hex: '#006400' },
-  PK: { name: 'PINK',        hex: '#FFB6C1' },
-  RD: { name: 'RED',         hex: '#FF0000' },
-  OR: { name: 'ORANGE',      hex: '#FFA500' },
-  PU: { name: 'PURPLE',      hex: '#800080' },
-  GY: { name: 'GRAY',        hex: '#808080' }
-};
+import { getColor, validatePuzzle, isSolved, applyMove, reverseMove, describeMove, describeMoves, describeTube, serializeTubes, movableCount, RULESETS, tubeCapacity, getLockedTubes, describeUnlock } from '@/lib/puzzle';
+import { ALGORITHMS } from '@/lib/solver';
+import { useSolver } from '@/hooks/useSolver';
+import { useSolutionPlayback } from '@/hooks/useSolutionPlayback';
+import { useHint } from '@/hooks/useHint';
+import { useTubeInteraction } from '@/hooks/useTubeInteraction';
+import { useMoveAnimation } from '@/hooks/useMoveAnimation';
+import { usePuzzleGenerator } from '@/hooks/usePuzzleGenerator';
+import { DIFFICULTIES, DEFAULT_BOARD_CONFIG } from '@/lib/generator';
+import SearchStats from '@/components/SearchStats';
+import SolutionPlayback from '@/components/SolutionPlayback';
+import BoardSetupDialog from '@/components/BoardSetupDialog';
+import PuzzleCodePanel from '@/components/PuzzleCodePanel';
+import PuzzleEditor from '@/components/PuzzleEditor';
+import ScreenshotImportDialog from '@/components/ScreenshotImportDialog';
+import { formatBytes } from '@/lib/utils';
+import { revealMaskAfter, countHidden } from '@/lib/mystery';
+import { encodePuzzle, decodePuzzle, puzzleHash, readPuzzleCodeFromHash, extractPuzzleCode } from '@/lib/puzzleCode';
+import { loadStoredState, saveSettings, createGameId, recordCompletedGame, MAX_SAVED_GAMES } from '@/lib/storage';
+import SavedGamesPanel from '@/components/SavedGamesPanel';
+import StatsDialog from '@/components/StatsDialog';
+import AppearancePanel from '@/components/AppearancePanel';
+import Ball from '@/components/Ball';
+import MoveFlight from '@/components/MoveFlight';
+import MoveTimeline from '@/components/MoveTimeline';
+import ReplayPanel from '@/components/ReplayPanel';
+import { createMoveTree, addMove, addLine, canUndo, undoMove, redoTarget, pathTo, jumpTo, ancestorOf } from '@/lib/moveTree';
+import { analysePlay } from '@/lib/positionAnalysis';
+import { usePositionAnalysis } from '@/hooks/usePositionAnalysis';
+import { useAutosave } from '@/hooks/useAutosave';
+import { DEFAULT_BALL_SKIN, createBallSkin } from '@/lib/ballSkins';
+import { formatDuration } from '@/lib/stats';
+import { createReplay } from '@/lib/replay';
 
 const initialPuzzleState = {
   maxBalls: 4,
@@ -28,296 +49,282 @@ const initialPuzzleState = {
   ]
 };
 
-// Solver functions (copied from previous artifact)
-function validatePuzzle(tubes, maxBalls) {
-  const errors = [];
-  const counts = {};
-  
-  tubes.forEach((tube, idx) => {
-    if (tube.length > maxBalls) {
-      errors.push(`Tube ${idx + 1} exceeds maximum capacity of ${maxBalls}`);
-    }
-    tube.forEach(ball => {
-      counts[ball] = (counts[ball] || 0) + 1;
-    });
-  });
-  
-  Object.entries(counts).forEach(([color, count]) => {
-    if (count !== maxBalls) {
-      errors.push(`Color ${color} has ${count} balls (expected ${maxBalls})`);
-    }
-  });
-  
-  const validColors = Object.keys(COLORS);
-  Object.keys(counts).forEach(color => {
-    if (!validColors.includes(color)) {
-      errors.push(`Invalid color code: ${color}`);
-    }
-  });
+// A puzzle shared in the page URL (#puzzle=...) replaces the starter puzzle
+const readPuzzleFromUrl = () => {
+  const code = readPuzzleCodeFromHash(window.location.hash);
+  return code ? decodePuzzle(code) : { puzzle: null, error: null };
+};
 
-  return {
-    valid: errors.length === 0,
-    errors,
-    ballCounts: counts
-  };
-}
-
-function isTubeSorted(tube, maxBalls) {
-  // Empty tubes are not considered "sorted" - we need them for moves
-  if (tube.length === 0) return false;
-  
-  // A tube is only sorted if it has all balls of the same color
-  if (tube.length === maxBalls) {
-    const color = tube[0];
-    return tube.every(ball => ball === color);
-  }
-  
-  // Partially filled tubes are not sorted
-  return false;
-}
-
-function isEmptyTubeMoveNecessary(tubes, fromTubeIdx, ball, maxBalls) {
-  return !tubes.some((tube, idx) => 
-    idx !== fromTubeIdx && 
-    tube.length > 0 && 
-    tube.length < maxBalls && 
-    tube[0] === ball
-  );
-}
+// Everything saved to resume a game, at the start of a puzzle. mystery is the mode
+// the game starts in; switching it later is recorded as an event.
+const newSession = ({ tubes, maxBalls, tubeSpecs = null }, puzzleRating = null, mystery = false) => ({
+  initialTubes: tubes,
+  tubes,
+  maxBalls,
+  tubeSpecs,
+  moveTree: createMoveTree(),
+  moveCount: 0, // Length of the current line in moveTree
+  movesPlayed: 0, // Every move made, undone or not
+  hintsUsed: 0,
+  undosUsed: 0,
+  elapsedMs: 0,
+  isComplete: false,
+  puzzleRating,
+  solution: null,
+  solveBaseHistory: [],
+  startedAt: Date.now(),
+  events: [], // The game's recording, see replay.js
+  mystery
+});
 
-// 2.3. Modify the getNextStates function to allow more mixing by relaxing the isUsefulMove condition
-function getNextStates(tubes, maxBalls) {
-  const nextStates = [];
+// Whether a session's colours are hidden now, after any switches during the game
+const currentMystery = session => session.events.findLast(event => event.type === 'mystery')?.mystery ?? session.mystery;
 
-  for (let i = 0; i < tubes.length; i++) {
-    const fromTube = tubes[i];
-    if (fromTube.length === 0 || isTubeSorted(fromTube, maxBalls)) continue;
+const sessionCode = (session) => encodePuzzle(session.initialTubes, session.maxBalls, session.tubeSpecs);
 
-    const topBall = fromTube[0];
+// Where the app starts: a puzzle shared in the URL (resuming it if it was saved),
+// else the saved game in progress, else a freshly generated puzzle (gameId null
+// until it arrives). Reloading keeps the URL, so it lands back on the same game.
+const readStartup = () => {
+  const stored = loadStoredState();
+  const { puzzle, error } = readPuzzleFromUrl();
 
-    for (let j = 0; j < tubes.length; j++) {
-      if (i === j) continue;
-      const toTube = tubes[j];
+  if (puzzle) {
+    const code = encodePuzzle(puzzle.tubes, puzzle.maxBalls, puzzle.tubeSpecs);
+    const saved = stored.games.find(game => game.id === stored.activeGameId && sessionCode(game.session) === code)
+      || stored.games.find(game => sessionCode(game.session) === code);
+    return saved
+      ? { settings: stored.settings, gameId: saved.id, session: saved.session }
+      : { settings: stored.settings, gameId: createGameId(), session: newSession(puzzle, null, stored.settings.mysteryMode) };
+  }
 
-      if (toTube.length >= maxBalls) continue;
+  const active = stored.games.find(game => game.id === stored.activeGameId);
+  if (active) return { settings: stored.settings, gameId: active.id, session: active.session, error };
+  return {
+    settings: stored.settings,
+    gameId: null,
+    session: newSession(initialPuzzleState, null, stored.settings.mysteryMode),
+    error,
+    needsPuzzle: !error
+  };
+};
 
-      const isValidMove = toTube.length === 0 || toTube[0] === topBall;
-      // Removed the isUsefulMove condition to allow more diverse moves
-      // const isUsefulMove = toTube.length > 0 || isEmptyTubeMoveNecessary(tubes, i, topBall, maxBalls);
+// Longest pause between two actions that counts towards a game's time, so a game
+// left open (or resumed days later) is not timed while nobody plays
+const IDLE_TIME_LIMIT = 60 * 1000;
 
-      if (isValidMove /* && isUsefulMove */) {
-        const newTubes = tubes.map(t => [...t]);
-        newTubes[i] = [...fromTube.slice(1)];
-        newTubes[j] = [topBall, ...toTube];
+// Estimated heap budget for a search before it gives up with "Memory limit exceeded"
+const SOLVER_MEMORY_LIMIT = 1024 * 1024 * 1024;
 
-        const moveDesc = getDetailedMoveDescription(i, j, topBall, toTube);
-        nextStates.push({ nextTubes: newTubes, moveDescription: moveDesc });
-      }
-    }
-  }
+const BallSortGame = () => {
+  const [startup] = useState(readStartup);
+  const { session: startSession, settings: startSettings } = startup;
 
-  return nextStates;
-}
-
-function getDetailedMoveDescription(fromIdx, toIdx, ball, targetTube) {
-  const colorName = COLORS[ball].name;
-  const fromTubeLabel = `Tube ${fromIdx + 1}`;
-  const toTubeLabel = `Tube ${toIdx + 1}`;
-  
-  if (targetTube.length === 0) {
-    return `Move ${colorName} from ${fromTubeLabel} to empty ${toTubeLabel}`;
-  } else {
-    const topColor = COLORS[targetTube[0]].name;
-    return `Move ${colorName} from ${fromTubeLabel} to ${toTubeLabel} (on top of ${topColor})`;
-  }
-}
-
-function serializeTubes(tubes) {
-  return tubes.map(tube => tube.join(',')).join('|');
-}
-
-function isSolved(tubes, maxBalls) {
-  return tubes.every(tube => isTubeSorted(tube, maxBalls) || tube.length === 0);
-}
-
-function solvePuzzleBFS(initialTubes, maxBalls, maxMoves = 25000000, timeLimit = 600000) {
-  const validation = validatePuzzle(initialTubes, maxBalls);
-  if (!validation.valid) {
-    return {
-      solvable: false,
-      moves: [],
-      error: 'Invalid puzzle state:',
-      validation,
-      searchStats: null
-    };
-  }
+  // Game state
+  const [activeGameId, setActiveGameId] = useState(startup.gameId); // Saved-games slot of this game
+  const [tubes, setTubes] = useState(startSession.tubes);
+  const [maxBalls, setMaxBalls] = useState(startSession.maxBalls); // Balls per colour, and the capacity of plain tubes
+  const [tubeSpecs, setTubeSpecs] = useState(startSession.tubeSpecs); // Per-tube capacity, colour and lock, see puzzle.js
+  const [moveCount, setMoveCount] = useState(startSession.moveCount);
+  const [movesPlayed, setMovesPlayed] = useState(startSession.movesPlayed);
+  const [moveTree, setMoveTree] = useState(startSession.moveTree); // Every line played, see moveTree.js
+  const moveHistory = useMemo(() => pathTo(moveTree, moveTree.current), [moveTree]);
+  const nextRedo = redoTarget(moveTree);
+  const [timelineOpen, setTimelineOpen] = useState(false);
+  const [replayOpen, setReplayOpen] = useState(false);
+  const [validation, setValidation] = useState(startup.error ? { valid: false, errors: [startup.error] } : null);
+  const [isComplete, setIsComplete] = useState(startSession.isComplete); // Add isComplete state
+  const [difficulty, setDifficulty] = useState(startSettings.difficulty ?? 'Easy'); // Add difficulty state
+  const [initialTubes, setInitialTubes] = useState(startSession.initialTubes); // Track initial puzzle for reset
+  const [dropdownOpen, setDropdownOpen] = useState(false); // Manage dropdown state
+  const [boardConfig, setBoardConfig] = useState(startSettings.boardConfig ?? DEFAULT_BOARD_CONFIG); // Colours, capacity and spare tubes for new games
+  const [setupOpen, setSetupOpen] = useState(false);
+  const [sharePanelOpen, setSharePanelOpen] = useState(false);
+  const [editorPuzzle, setEditorPuzzle] = useState(null); // { tubes, maxBalls, tubeSpecs } the editor opened with
+  const [importOpen, setImportOpen] = useState(false);
+  const [savedGamesOpen, setSavedGamesOpen] = useState(false);
+  const [statsOpen, setStatsOpen] = useState(false);
+  const [puzzleRating, setPuzzleRating] = useState(startSession.puzzleRating); // Generator's measured difficulty, null for other puzzles
+  const { generating, generate: generatePuzzle } = usePuzzleGenerator();
+  const [mysteryMode, setMysteryMode] = useState(() => currentMystery(startSession)); // Hide balls that have not reached the top yet
+  const [rules, setRules] = useState(startSettings.rules ?? 'single'); // Key of RULESETS: how many balls one move carries
+  const [rulesDropdownOpen, setRulesDropdownOpen] = useState(false);
+  const [algorithm, setAlgorithm] = useState(startSettings.algorithm ?? 'astar');
+  const [algorithmDropdownOpen, setAlgorithmDropdownOpen] = useState(false);
+  const [compareEncodings, setCompareEncodings] = useState(startSettings.compareEncodings ?? false); // Also solve with tube-order keys to measure the savings
+  const [skinSettings, setSkinSettings] = useState({ ...DEFAULT_BALL_SKIN, ...startSettings.ballSkin }); // See ballSkins.js
+  const [customPalette, setCustomPalette] = useState(startSettings.customPalette ?? []); // Extra colour codes for New Game
+  const [appearanceOpen, setAppearanceOpen] = useState(false);
+  const [moveSpeed, setMoveSpeed] = useState(startSettings.moveSpeed ?? 'normal'); // Key of MOVE_SPEEDS
 
-  const startState = { tubes: initialTubes, path: [] };
-  const queue = [startState];
-  const visited = new Set([serializeTubes(initialTubes)]);
-  let moveCount = 0;
-  let maxQueueSize = 1;
-  const startTime = Date.now();
-
-  // Track search statistics
-  const searchStats = {
-    startTime: new Date().toISOString(),
-    endTime: null,
-    totalStatesExplored: 0,
-    maxQueueSize: 1,
-    searchDuration: 0,
-    statesPerSecond: 0,
-    queueSizeHistory: [],
-    reason: null
-  };
+  const tubeRefs = useRef([]);
+  const {
+    solving, progress, solution, solve, cancel: cancelSolve, reset: resetSolver, restore: restoreSolution
+  } = useSolver(startSession.solution);
+  const playback = useSolutionPlayback(solution);
+  // moveHistory at the time of solving; the solution's moves continue from it
+  const [solveBaseHistory, setSolveBaseHistory] = useState(startSession.solveBaseHistory);
 
-  while (queue.length > 0 && moveCount < maxMoves) {
-    const currentTime = Date.now();
-    if (currentTime - startTime > timeLimit) {
-      searchStats.reason = 'Time limit exceeded';
-      break;
-    }
+  // During playback the board shows the solution instead of the player's position
+  const boardTubes = playback.active ? playback.tubes : tubes;
+  // Which balls on the board have been seen, replayed from the start of the game
+  const boardMoves = useMemo(
+    () => (playback.active ? [...solveBaseHistory, ...solution.moves.slice(0, playback.step)] : moveHistory),
+    [playback.active, playback.step, solveBaseHistory, solution, moveHistory]
+  );
+  const revealMask = useMemo(() => revealMaskAfter(initialTubes, boardMoves), [initialTubes, boardMoves]);
+  const showAllBalls = !mysteryMode || isComplete;
+  const hidingBalls = !showAllBalls && countHidden(revealMask) > 0;
+  const lockedTubes = getLockedTubes(boardTubes, maxBalls, tubeSpecs);
+  // What the grid draws: boardTubes, a move behind while balls are in the air
+  const animation = useMoveAnimation(boardTubes, moveSpeed);
+  const ballSkin = useMemo(() => createBallSkin(initialTubes.flat(), skinSettings), [initialTubes, skinSettings]);
+  const { hint, searching: hintSearching, requestHint, clearHint } = useHint();
+  const [hintsUsed, setHintsUsed] = useState(startSession.hintsUsed);
+  const [announcement, setAnnouncement] = useState(''); // Read out by screen readers
+  const [focusedTube, setFocusedTube] = useState(0); // The tube in the tab order
+  const [undosUsed, setUndosUsed] = useState(startSession.undosUsed);
+  const [elapsedMs, setElapsedMs] = useState(startSession.elapsedMs); // Time played, see IDLE_TIME_LIMIT
+  const [startedAt, setStartedAt] = useState(startSession.startedAt);
+  const [events, setEvents] = useState(startSession.events); // Everything the player did, for replays
+  const [startMystery, setStartMystery] = useState(startSession.mystery); // mysteryMode when the game started
+  const lastActionRef = useRef(Date.now());
+  // A hint only applies to the exact position it was computed for
+  const currentHint = hint && hint.forTubes === tubes ? hint : null;
+  const hintMove = currentHint?.status === 'move' && !playback.active ? currentHint.move : null;
 
-    const { tubes, path } = queue.shift();
-    moveCount++;
-    searchStats.totalStatesExplored++;
-
-    // Update statistics every 10,000 moves
-    if (moveCount % 10000 === 0) {
-      const duration = (currentTime - startTime) / 1000;
-      searchStats.statesPerSecond = Math.round(searchStats.totalStatesExplored / duration);
-      searchStats.queueSizeHistory.push(queue.length);
-      searchStats.searchDuration = duration;
-      console.log(`Progress: ${moveCount} states explored, ${searchStats.statesPerSecond} states/sec, Queue: ${queue.length}`);
-    }
+  // Warnings while playing: no moves left, going round in circles, or (from a short
+  // background search) a position that can no longer be solved
+  const playAnalysis = useMemo(
+    () => analysePlay(initialTubes, moveHistory, maxBalls, { rules, tubeSpecs }),
+    [initialTubes, moveHistory, maxBalls, rules, tubeSpecs]
+  );
+  const positionAnalysis = usePositionAnalysis(tubes, maxBalls, moveHistory, {
+    rules,
+    tubeSpecs,
+    enabled: !isComplete && !playback.active && moveHistory.length > 0
+  });
+  const deadEnd = positionAnalysis?.status === 'dead-end' || positionAnalysis?.status === 'unsolvable';
 
-    maxQueueSize = Math.max(maxQueueSize, queue.length);
-
-    if (isSolved(tubes, maxBalls)) {
-      const endTime = Date.now();
-      searchStats.endTime = new Date().toISOString();
-      searchStats.searchDuration = (endTime - startTime) / 1000;
-      searchStats.maxQueueSize = maxQueueSize;
-      searchStats.reason = 'Solution found';
-      
-      return { 
-        solvable: true, 
-        moves: path,
-        moveCount,
-        statesExplored: visited.size,
-        searchStats
-      };
-    }
+  // Game logic functions
+  // With colours hidden a pour only carries the balls the player can see
+  const playerMovableCount = (fromTube, toTube) => movableCount(tubes, fromTube, toTube, maxBalls, {
+    rules,
+    tubeSpecs,
+    revealed: showAllBalls ? null : (playback.active ? revealMaskAfter(initialTubes, moveHistory) : revealMask)[fromTube]
+  });
+  const isValidMove = (fromTube, toTube) => playerMovableCount(fromTube, toTube) > 0;
 
-    const nextStates = getNextStates(tubes, maxBalls);
-    for (const { nextTubes, moveDescription } of nextStates) {
-      const serialized = serializeTubes(nextTubes);
-      if (!visited.has(serialized)) {
-        visited.add(serialized);
-        queue.push({
-          tubes: nextTubes,
-          path: [...path, moveDescription]
-        });
-      }
-    }
-  }
+  // Returns false, leaving the board as it is, if the move is not allowed
+  const makeMove = (fromTube, toTube) => {
+    if (!isValidMove(fromTube, toTube)) return false;
 
-  const endTime = Date.now();
-  searchStats.endTime = new Date().toISOString();
-  searchStats.searchDuration = (endTime - startTime) / 1000;
-  searchStats.maxQueueSize = maxQueueSize;
-  searchStats.reason = searchStats.reason || (moveCount >= maxMoves ? 'Exceeded maximum moves' : 'No solution found');
-
-  return { 
-    solvable: false, 
-    moves: [],
-    error: searchStats.reason,
-    statesExplored: visited.size,
-    searchStats
+    const count = playerMovableCount(fromTube, toTube);
+    const move = { from: fromTube, to: toTube, ball: tubes[fromTube][0], count };
+    playMove(move);
+    recordEvent({ type: 'move', move });
+    return true;
   };
-}
-
-// 1. Define difficulty levels
-const DIFFICULTIES = {
-  Easy: { shuffleMoves: 10 },
-  Medium: { shuffleMoves: 20 },
-  Hard: { shuffleMoves: 30 },
-  Extreme: { shuffleMoves: 50 },
-};
 
-const BallSortGame = () => {
-  // Game state
-  const [tubes, setTubes] = useState(initialPuzzleState.tubes);
-  const [moveCount, setMoveCount] = useState(0);
-  const [moveHistory, setMoveHistory] = useState([]);
-  const [redoStack, setRedoStack] = useState([]);
-  const [solving, setSolving] = useState(false);
-  const [solution, setSolution] = useState(null);
-  const [validation, setValidation] = useState(null);
-  const [dragState, setDragState] = useState({
-    dragging: false,
-    sourceIndex: null,
-    invalidMove: false
+  const canPickUp = tubeIndex => tubes[tubeIndex].length > 0 && !lockedTubes[tubeIndex];
+
+  // Tap-to-move, pointer dragging and the keyboard all go through here
+  const interaction = useTubeInteraction(tubes, {
+    canPickUp,
+    tryMove: (fromTube, toTube) => {
+      if (makeMove(fromTube, toTube)) return true;
+      setAnnouncement(`Cannot move from Tube ${fromTube + 1} to Tube ${toTube + 1}`);
+      return false;
+    },
+    onPickUp: tubeIndex => setAnnouncement(
+      `Picked up ${getColor(tubes[tubeIndex][0]).name} from Tube ${tubeIndex + 1}. Choose a tube to move it to.`
+    )
   });
-  const [isComplete, setIsComplete] = useState(false); // Add isComplete state
-  const [difficulty, setDifficulty] = useState('Easy'); // Add difficulty state
-  const [initialTubes, setInitialTubes] = useState(initialPuzzleState.tubes); // Track initial puzzle for reset
-  const [dropdownOpen, setDropdownOpen] = useState(false); // Manage dropdown state
+  // Tube a move would start from, while one is selected or dragged
+  const moveSource = playback.active ? null : interaction.drag?.source ?? interaction.selected;
 
-  const tubeRefs = useRef([]);
+  // Adds the time since the last action to the game's time and returns the new total
+  const trackTime = () => {
+    const now = Date.now();
+    const total = elapsedMs + Math.min(now - lastActionRef.current, IDLE_TIME_LIMIT);
+    lastActionRef.current = now;
+    setElapsedMs(total);
+    return total;
+  };
 
-  // Game logic functions
-  const isValidMove = (fromTube, toTube) => {
-    if (fromTube === toTube) return false;
-    if (tubes[fromTube].length === 0) return false;
-    if (tubes[toTube].length >= initialPuzzleState.maxBalls) return false;
-    
-    const ballToMove = tubes[fromTube][0];
-    return tubes[toTube].length === 0 || tubes[toTube][0] === ballToMove;
+  // Adds an event (see replay.js) to the game's recording
+  const recordEvent = (event) => {
+    setEvents(prev => [...prev, { ...event, at: Date.now() - startedAt }]);
   };
 
-  const makeMove = (fromTube, toTube) => {
-    if (!isValidMove(fromTube, toTube)) {
-      setDragState(prev => ({ ...prev, invalidMove: true }));
-      setTimeout(() => setDragState(prev => ({ ...prev, invalidMove: false })), 500);
-      return false;
+  // The solver's move count only counts as optimal from BFS, or from the generator's
+  // rating under the same rules, and only for a search from the start position
+  const knownOptimalMoves = () => {
+    if (puzzleRating && (puzzleRating.rules ?? 'single') === rules) return puzzleRating.optimalMoves;
+    if (solution?.solvable && solution.algorithm === 'bfs' && solveBaseHistory.length === 0
+      && serializeTubes(solution.startTubes) === serializeTubes(initialTubes)) {
+      return solution.moves.length;
     }
+    return null;
+  };
+
+  const recordWin = (timeMs) => {
+    recordCompletedGame({
+      gameId: activeGameId,
+      completedAt: new Date().toISOString(),
+      difficulty: puzzleRating?.difficulty ?? 'Custom',
+      board: { colors: new Set(initialTubes.flat()).size, capacity: maxBalls, tubes: initialTubes.length },
+      rules,
+      // Only a game played with the colours hidden throughout counts as a mystery win
+      mystery: startMystery && events.every(event => event.type !== 'mystery' || event.mystery),
+      moves: movesPlayed + 1,
+      timeMs,
+      undos: undosUsed,
+      hints: hintsUsed,
+      optimalMoves: knownOptimalMoves()
+    });
+  };
+
+  // Applies a move that is known to be legal, keeping the ball count it was made with
+  const playMove = (move) => {
+    const newTubes = applyMove(tubes, move);
+    const timeMs = trackTime();
 
-    const newTubes = [...tubes];
-    const ball = newTubes[fromTube][0];
-    newTubes[fromTube] = newTubes[fromTube].slice(1);
-    newTubes[toTube] = [ball, ...newTubes[toTube]];
-    
     setTubes(newTubes);
     setMoveCount(prev => prev + 1);
-    setMoveHistory(prev => [...prev, { from: fromTube, to: toTube, ball }]);
-    setRedoStack([]);
+    setMovesPlayed(prev => prev + 1);
+    setMoveTree(prev => addMove(prev, move));
     
-    if (isSolved(newTubes, initialPuzzleState.maxBalls)) { // Check if solved
+    if (isSolved(newTubes, maxBalls, tubeSpecs)) { // Check if solved
       setIsComplete(true); // Set isComplete to true
+      recordWin(timeMs);
+      setAnnouncement(`${describeMove(move, tubes)}. Puzzle solved in ${movesPlayed + 1} moves!`);
     } else {
+      setAnnouncement(describeMove(move, tubes));
       setIsComplete(false); // Ensure isComplete is false if not solved
     }
-
-    return true;
   };
 
+  // Undo, redo, reset and hints wait for a ball in flight to land, and are off while
+  // the solution is played on the board
+  const historyLocked = animation.animating || playback.active;
+
   const undo = () => {
-    if (moveHistory.length === 0) return;
+    if (historyLocked || !canUndo(moveTree)) return;
     
     const lastMove = moveHistory[moveHistory.length - 1];
-    const newTubes = [...tubes];
-    const ball = newTubes[lastMove.to][0];
-    newTubes[lastMove.to] = newTubes[lastMove.to].slice(1);
-    newTubes[lastMove.from] = [ball, ...newTubes[lastMove.from]];
+    const newTubes = applyMove(tubes, reverseMove(lastMove));
     
     setTubes(newTubes);
     setMoveCount(prev => prev - 1);
-    setMoveHistory(prev => prev.slice(0, -1));
-    setRedoStack(prev => [...prev, lastMove]);
+    setMoveTree(undoMove);
+    setUndosUsed(prev => prev + 1);
+    trackTime();
+    recordEvent({ type: 'undo' });
+    setAnnouncement(`Undone: ${describeMove(lastMove, newTubes)}`);
 
     // Update isComplete based on the new state
-    if (isSolved(newTubes, initialPuzzleState.maxBalls)) {
+    if (isSolved(newTubes, maxBalls, tubeSpecs)) {
       setIsComplete(true);
     } else {
       setIsComplete(false);
@@ -325,132 +332,299 @@ const BallSortGame = () => {
   };
 
   const redo = () => {
-    if (redoStack.length === 0) return;
-    const move = redoStack[redoStack.length - 1];
-    makeMove(move.from, move.to);
-    setRedoStack(prev => prev.slice(0, -1));
+    if (historyLocked || !nextRedo) return;
+    playMove(nextRedo);
+    recordEvent({ type: 'redo', move: nextRedo });
   };
 
-  // 2.1. Add a shuffle function to randomize arrays
-const shuffleArray = (array) => {
-  for (let i = array.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
-    [array[i], array[j]] = [array[j], array[i]];
-  }
-  return array;
-};
+  // Several undos at once, e.g. back out of a dead end
+  const undoMoves = (count) => {
+    if (animation.animating) return;
+    jumpToNode(ancestorOf(moveTree, moveTree.current, count), { type: 'undo', count });
+    setUndosUsed(prev => prev + count);
+  };
 
-// 2.2. Modify the generateRandomPuzzle function to randomize color selection and tube assignments
-const generateRandomPuzzle = (selectedDifficulty) => {
-  const { shuffleMoves } = DIFFICULTIES[selectedDifficulty];
-
-  // Start from a solved state
-  const colorsNeeded = initialPuzzleState.tubes.length - 2; // Assuming 2 empty tubes
-  const allColors = Object.keys(COLORS);
-  const shuffledColors = shuffleArray([...allColors]); // Shuffle the colors
-  const selectedColors = shuffledColors.slice(0, colorsNeeded); // Select required number of colors
-
-  // Shuffle the selected colors to assign to tubes randomly
-  const randomizedColors = shuffleArray([...selectedColors]);
-
-  // Assign each tube a single color
-  const solvedTubes = randomizedColors.map(color => Array(initialPuzzleState.maxBalls).fill(color));
-  const emptyTubes = Array(2).fill([]);
-  let currentTubes = [...solvedTubes, ...emptyTubes];
-
-  // Shuffle by performing random valid moves
-  for (let i = 0; i < shuffleMoves; i++) {
-    const possibleMoves = getNextStates(currentTubes, initialPuzzleState.maxBalls);
-    if (possibleMoves.length === 0) break;
-    const randomMove = possibleMoves[Math.floor(Math.random() * possibleMoves.length)];
-    currentTubes = randomMove.nextTubes;
-  }
+  // Shows the position at any node of the undo tree; its branches are kept. event
+  // is what the recording calls it, a jump to that line by default.
+  const jumpToNode = (nodeId, event = null) => {
+    if (animation.animating) return;
+    const newTree = jumpTo(moveTree, nodeId);
+    const moves = pathTo(newTree, nodeId);
+    const newTubes = moves.reduce(applyMove, initialTubes);
+    if (playback.active) playback.stop();
+    setMoveTree(newTree);
+    setTubes(newTubes);
+    setMoveCount(moves.length);
+    setIsComplete(isSolved(newTubes, maxBalls, tubeSpecs));
+    trackTime();
+    recordEvent(event ?? { type: 'jump', moves });
+    setAnnouncement(`Jumped to move ${moves.length}`);
+  };
 
-  return currentTubes;
-};
+  // Ctrl+Z / Ctrl+Y (or Ctrl+Shift+Z) anywhere outside a text field, while the board is shown
+  const shortcutsRef = useRef(null);
+  shortcutsRef.current = editorPuzzle ? null : { undo, redo };
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (!shortcutsRef.current || !(e.ctrlKey || e.metaKey) || e.altKey) return;
+      if (e.target.closest?.('input, textarea, select, [contenteditable="true"]')) return;
+      const key = e.key.toLowerCase();
+      if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        shortcutsRef.current.undo();
+      } else if (key === 'y' || (key === 'z' && e.shiftKey)) {
+        e.preventDefault();
+        shortcutsRef.current.redo();
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, []);
+
+  const focusTube = (tubeIndex) => {
+    const next = (tubeIndex + tubes.length) % tubes.length;
+    setFocusedTube(next);
+    tubeRefs.current[next]?.focus();
+  };
+
+  // Arrow keys move between tubes, Enter or Space picks up and drops, Escape puts down
+  const handleGridKeyDown = (e) => {
+    const tubeIndex = Number(e.target.dataset?.tubeIndex);
+    if (!Number.isInteger(tubeIndex)) return;
+    const actions = {
+      ArrowRight: () => focusTube(tubeIndex + 1),
+      ArrowDown: () => focusTube(tubeIndex + 1),
+      ArrowLeft: () => focusTube(tubeIndex - 1),
+      ArrowUp: () => focusTube(tubeIndex - 1),
+      Home: () => focusTube(0),
+      End: () => focusTube(tubes.length - 1),
+      Enter: () => activateTube(tubeIndex),
+      ' ': () => activateTube(tubeIndex),
+      Escape: () => {
+        if (interaction.selected === null) return;
+        interaction.clearSelection();
+        setAnnouncement(`Put down Tube ${interaction.selected + 1}`);
+      }
+    };
+    if (!actions[e.key]) return;
+    e.preventDefault();
+    actions[e.key]();
+  };
+
+  const activateTube = (tubeIndex) => {
+    if (playback.active || animation.animating) return;
+    if (interaction.selected === null && !canPickUp(tubeIndex)) {
+      setAnnouncement(lockedTubes[tubeIndex]
+        ? `Tube ${tubeIndex + 1} is locked. ${describeUnlock(tubeSpecs[tubeIndex].unlock)}`
+        : `Tube ${tubeIndex + 1} is empty`);
+    } else if (interaction.selected === tubeIndex) {
+      setAnnouncement(`Put down Tube ${tubeIndex + 1}`);
+    }
+    interaction.tap(tubeIndex);
+  };
 
   // 4. Add resetPuzzle function
   const resetPuzzle = () => {
+    if (historyLocked) return;
     setTubes(initialTubes);
     setMoveCount(0);
-    setMoveHistory([]);
-    setRedoStack([]);
+    setMovesPlayed(0);
+    setMoveTree(prev => jumpTo(prev, 0)); // Back to the start, keeping every line for redo
     setIsComplete(false);
     setValidation(null);
-    setSolution(null);
+    resetSolver();
+    clearHint();
+    setHintsUsed(0);
+    setUndosUsed(0);
+    setElapsedMs(0);
+    lastActionRef.current = Date.now();
+    recordEvent({ type: 'reset' });
   };
 
-  // 5. Modify startNewGame to generate a new puzzle based on selected difficulty
-  const startNewGame = () => {
-    const newTubes = generateRandomPuzzle(difficulty);
-    setInitialTubes(newTubes); // Update initialTubes for reset
-    setTubes(newTubes);
-    setMoveCount(0);
-    setMoveHistory([]);
-    setRedoStack([]);
-    setIsComplete(false);
+  // Switches the board to a game session (see newSession) saved under gameId
+  const applySession = (gameId, session) => {
+    setActiveGameId(gameId);
+    setInitialTubes(session.initialTubes); // Update initialTubes for reset
+    setTubes(session.tubes);
+    setMaxBalls(session.maxBalls);
+    setTubeSpecs(session.tubeSpecs);
+    setPuzzleRating(session.puzzleRating);
+    setMoveCount(session.moveCount);
+    setMovesPlayed(session.movesPlayed);
+    setMoveTree(session.moveTree);
+    setIsComplete(session.isComplete);
     setValidation(null);
-    setSolution(null);
+    setSolveBaseHistory(session.solveBaseHistory);
+    restoreSolution(session.solution);
+    clearHint();
+    setHintsUsed(session.hintsUsed);
+    setUndosUsed(session.undosUsed);
+    setElapsedMs(session.elapsedMs);
+    setStartedAt(session.startedAt);
+    setEvents(session.events);
+    setStartMystery(session.mystery);
+    setMysteryMode(currentMystery(session));
+    lastActionRef.current = Date.now();
   };
 
-  // Drag and drop handlers
-  const handleDragStart = (e, tubeIndex) => {
-    if (tubes[tubeIndex].length === 0) {
-      e.preventDefault();
-      return;
-    }
-    setDragState({
-      dragging: true,
-      sourceIndex: tubeIndex,
-      invalidMove: false
-    });
+  // Replaces the board with a new puzzle, in a new saved-games slot so the old
+  // game can still be resumed
+  const loadPuzzle = (newTubes, newMaxBalls, { rating = null, tubeSpecs: newTubeSpecs = null } = {}) => {
+    applySession(
+      createGameId(),
+      newSession({ tubes: newTubes, maxBalls: newMaxBalls, tubeSpecs: newTubeSpecs }, rating, mysteryMode)
+    );
   };
 
-  const handleDragOver = (e, tubeIndex) => {
-    e.preventDefault();
-    if (dragState.sourceIndex !== null && isValidMove(dragState.sourceIndex, tubeIndex)) {
-      e.dataTransfer.dropEffect = 'move';
-    } else {
-      e.dataTransfer.dropEffect = 'none';
-    }
-  };
+  // Keep the URL pointing at the puzzle being played so it can be shared or reloaded
+  useEffect(() => {
+    if (!activeGameId) return;
+    window.history.replaceState(null, '', puzzleHash(initialTubes, maxBalls, tubeSpecs));
+  }, [activeGameId, initialTubes, maxBalls, tubeSpecs]);
 
-  const handleDrop = (e, tubeIndex) => {
-    e.preventDefault();
-    if (dragState.sourceIndex !== null) {
-      makeMove(dragState.sourceIndex, tubeIndex);
-    }
-    setDragState({ dragging: false, sourceIndex: null, invalidMove: false });
+  // Autosave the game after changes (see useAutosave); a search still running is not saved
+  const savedSession = useMemo(() => ({
+    initialTubes,
+    tubes,
+    maxBalls,
+    tubeSpecs,
+    moveTree,
+    moveCount,
+    movesPlayed,
+    hintsUsed,
+    undosUsed,
+    elapsedMs,
+    isComplete,
+    puzzleRating,
+    solution,
+    solveBaseHistory,
+    startedAt,
+    events,
+    mystery: startMystery
+  }), [
+    initialTubes, tubes, maxBalls, tubeSpecs, moveTree, moveCount, movesPlayed, hintsUsed,
+    undosUsed, elapsedMs, isComplete, puzzleRating, solution, solveBaseHistory, startedAt, events, startMystery
+  ]);
+  const autosave = useAutosave(activeGameId, savedSession);
+
+  useEffect(() => {
+    saveSettings({ difficulty, boardConfig, algorithm, compareEncodings, rules, mysteryMode, ballSkin: skinSettings, customPalette, moveSpeed });
+  }, [difficulty, boardConfig, algorithm, compareEncodings, rules, mysteryMode, skinSettings, customPalette, moveSpeed]);
+
+  // Loads a puzzle code or share link; returns an error message, or null on success
+  const loadPuzzleCode = (text) => {
+    const { puzzle, error } = decodePuzzle(extractPuzzleCode(text));
+    if (error) return error;
+    loadPuzzle(puzzle.tubes, puzzle.maxBalls, { tubeSpecs: puzzle.tubeSpecs });
+    const validationResult = validatePuzzle(puzzle.tubes, puzzle.maxBalls, puzzle.tubeSpecs);
+    if (!validationResult.valid) setValidation(validationResult);
+    return null;
   };
 
-  const handleDragEnd = () => {
-    setDragState({ dragging: false, sourceIndex: null, invalidMove: false });
+  // Editing the hash by hand (or following a share link in the same tab) loads that puzzle
+  const loadPuzzleCodeRef = useRef(loadPuzzleCode);
+  loadPuzzleCodeRef.current = loadPuzzleCode;
+  useEffect(() => {
+    const handleHashChange = () => {
+      const code = readPuzzleCodeFromHash(window.location.hash);
+      if (!code) return;
+      const error = loadPuzzleCodeRef.current(code);
+      if (error) setValidation({ valid: false, errors: [error] });
+    };
+    window.addEventListener('hashchange', handleHashChange);
+    return () => window.removeEventListener('hashchange', handleHashChange);
+  }, []);
+
+  // 5. Modify startNewGame to generate a new puzzle based on selected difficulty
+  const startNewGame = (config = boardConfig, seed = null) => {
+    const options = { rules, extraColors: customPalette };
+    generatePuzzle(difficulty, config, seed ? { ...options, seed } : options, (puzzle) => {
+      if (!puzzle) {
+        setValidation({
+          valid: false,
+          errors: ['Could not generate a solvable puzzle within the search budget. Try fewer colours or more spare tubes.']
+        });
+        return;
+      }
+      loadPuzzle(puzzle.tubes, puzzle.maxBalls, { rating: puzzle.rating });
+    });
   };
 
+  // With nothing saved or shared, open on a generated puzzle rather than the starter one
+  const startNewGameRef = useRef(startNewGame);
+  startNewGameRef.current = startNewGame;
+  useEffect(() => {
+    if (startup.needsPuzzle) startNewGameRef.current();
+  }, [startup.needsPuzzle]);
+
   // Solver integration
-  const handleSolve = async () => {
-    setSolving(true);
-    setSolution(null);
-    
+  const handleSolve = () => {
     // Validate first
-    const validationResult = validatePuzzle(tubes, initialPuzzleState.maxBalls);
+    const validationResult = validatePuzzle(tubes, maxBalls, tubeSpecs);
     setValidation(validationResult);
     
     if (!validationResult.valid) {
-      setSolving(false);
+      resetSolver();
       return;
     }
 
-    setTimeout(() => {
-      const result = solvePuzzleBFS(
-        tubes.map(t => [...t]), 
-        initialPuzzleState.maxBalls
-      );
-      setSolution(result);
-      setSolving(false);
-    }, 100);
+    setSolveBaseHistory(moveHistory);
+    solve(tubes, maxBalls, { algorithm, rules, tubeSpecs, memoryLimit: SOLVER_MEMORY_LIMIT, compareEncodings });
+  };
+
+  // The editor hands back a validated puzzle to play, or to play and solve straight away
+  const playEditedPuzzle = (newTubes, newMaxBalls, newTubeSpecs) => {
+    loadPuzzle(newTubes, newMaxBalls, { tubeSpecs: newTubeSpecs });
+    setEditorPuzzle(null);
+  };
+
+  const solveEditedPuzzle = (newTubes, newMaxBalls, newTubeSpecs) => {
+    playEditedPuzzle(newTubes, newMaxBalls, newTubeSpecs);
+    setSolveBaseHistory([]);
+    solve(newTubes, newMaxBalls, { algorithm, rules, tubeSpecs: newTubeSpecs, memoryLimit: SOLVER_MEMORY_LIMIT, compareEncodings });
+  };
+
+  const handleHint = () => {
+    if (historyLocked) return;
+    setHintsUsed(prev => prev + 1);
+    recordEvent({ type: 'hint' });
+    requestHint(tubes, maxBalls, moveHistory, { rules, tubeSpecs });
+  };
+
+  // Solutions and hints found under the other ruleset no longer apply
+  const changeRules = (newRules) => {
+    if (newRules !== rules) recordEvent({ type: 'rules', rules: newRules, previous: rules });
+    setRules(newRules);
+    resetSolver();
+    clearHint();
+  };
+
+  // Also the mode new games start in
+  const toggleMystery = () => {
+    recordEvent({ type: 'mystery', mystery: !mysteryMode });
+    setMysteryMode(!mysteryMode);
+  };
+
+  // Continue manually from the position shown in playback
+  const takeOverFromPlayback = () => {
+    const newTubes = playback.tubes;
+    const newHistory = [...solveBaseHistory, ...solution.moves.slice(0, playback.step)];
+    setTubes(newTubes);
+    setMoveTree(prev => addLine(prev, newHistory));
+    setMoveCount(newHistory.length);
+    setIsComplete(isSolved(newTubes, maxBalls, tubeSpecs));
+    recordEvent({ type: 'jump', moves: newHistory });
+    playback.stop();
   };
 
+  const currentReplay = useMemo(
+    () => createReplay(
+      { initialTubes, maxBalls, tubeSpecs, startedAt, events, mystery: startMystery },
+      { rules, difficulty: puzzleRating?.difficulty ?? null }
+    ),
+    [initialTubes, maxBalls, tubeSpecs, startedAt, events, startMystery, rules, puzzleRating]
+  );
+
   // 3. Add difficulty selection dropdown and indicate current difficulty
   return (
     <Card className="w-full max-w-4xl mx-auto">
@@ -459,15 +633,60 @@ const generateRandomPuzzle = (selectedDifficulty) => {
           <span>Ball Sort Puzzle</span>
           <div className="flex items-center space-x-4">
             <span className="text-sm font-normal">Moves: {moveCount}</span>
-            <Button variant="outline" size="sm" onClick={undo} disabled={moveHistory.length === 0}>
+            <Button variant="outline" size="sm" onClick={undo} disabled={historyLocked || !canUndo(moveTree)} aria-label="Undo (Ctrl+Z)">
               <Undo2 className="h-4 w-4" />
             </Button>
-            <Button variant="outline" size="sm" onClick={redo} disabled={redoStack.length === 0}>
+            <Button variant="outline" size="sm" onClick={redo} disabled={historyLocked || !nextRedo} aria-label="Redo (Ctrl+Y)">
               <Redo2 className="h-4 w-4" />
             </Button>
-            <Button variant="primary" size="sm" onClick={startNewGame} className="ml-2">
+            <Button variant="primary" size="sm" onClick={() => startNewGame()} className="ml-2" disabled={generating}>
+              {generating && <Loader2 className="h-4 w-4 animate-spin" />}
               New Game
             </Button>
+            <Button variant="outline" size="sm" onClick={() => setSetupOpen(true)}>
+              <Settings2 className="h-4 w-4" />
+            </Button>
+            <Button variant="outline" size="sm" onClick={() => setAppearanceOpen(!appearanceOpen)}>
+              <Palette className="h-4 w-4" />
+              Look
+            </Button>
+            <Button
+              variant="outline"
+              size="sm"
+              onClick={() => {
+                autosave.flush();
+                setSavedGamesOpen(!savedGamesOpen);
+              }}
+            >
+              <FolderOpen className="h-4 w-4" />
+              Saved
+            </Button>
+            <Button variant="outline" size="sm" onClick={() => setStatsOpen(true)}>
+              <ChartColumn className="h-4 w-4" />
+              Stats
+            </Button>
+            <Button variant="outline" size="sm" onClick={() => setSharePanelOpen(!sharePanelOpen)}>
+              <Share2 className="h-4 w-4" />
+              Share
+            </Button>
+            <Button
+              variant={mysteryMode ? 'secondary' : 'outline'}
+              size="sm"
+              onClick={toggleMystery}
+              aria-pressed={mysteryMode}
+              title="Hide ball colours until they reach the top of their tube (hints and warnings still use the true colours)"
+            >
+              <EyeOff className="h-4 w-4" />
+              Mystery
+            </Button>
+            <Button variant="outline" size="sm" onClick={() => setEditorPuzzle({ tubes, maxBalls, tubeSpecs })} disabled={!!editorPuzzle}>
+              <Pencil className="h-4 w-4" />
+              Edit
+            </Button>
+            <Button variant="outline" size="sm" onClick={() => setImportOpen(true)}>
+              <ImageUp className="h-4 w-4" />
+              Import
+            </Button>
             <Button variant="secondary" size="sm" onClick={handleSolve} disabled={solving}>
               {solving ? (
                 <>
@@ -476,6 +695,90 @@ const generateRandomPuzzle = (selectedDifficulty) => {
                 </>
               ) : 'Solve Puzzle'}
             </Button>
+            {solving && (
+              <Button variant="outline" size="sm" onClick={cancelSolve}>
+                <XCircle className="h-4 w-4" />
+                Cancel
+              </Button>
+            )}
+            <Button variant="outline" size="sm" onClick={handleHint} disabled={historyLocked || hintSearching || isComplete}>
+              {hintSearching ? <Loader2 className="h-4 w-4 animate-spin" /> : <Lightbulb className="h-4 w-4" />}
+              Hint
+            </Button>
+            {/* Ruleset dropdown */}
+            <div className="relative inline-block text-left">
+              <div>
+                <Button
+                  variant="outline"
+                  size="sm"
+                  className="flex items-center"
+                  onClick={() => setRulesDropdownOpen(!rulesDropdownOpen)}
+                  disabled={solving}
+                >
+                  {RULESETS[rules].label} <ChevronDown className="ml-1 h-4 w-4" />
+                </Button>
+              </div>
+
+              {rulesDropdownOpen && (
+                <div className="origin-top-right absolute right-0 mt-2 w-36 rounded-md shadow-lg bg-white ring-1 ring-black ring-opacity-5 z-10">
+                  <div className="py-1">
+                    {Object.entries(RULESETS).map(([key, { label }]) => (
+                      <button
+                        key={key}
+                        onClick={() => {
+                          changeRules(key);
+                          setRulesDropdownOpen(false);
+                        }}
+                        className="w-full text-left px-4 py-2 text-sm text-gray-700 hover:bg-gray-100"
+                      >
+                        {label}
+                      </button>
+                    ))}
+                  </div>
+                </div>
+              )}
+            </div>
+            {/* Solver algorithm dropdown */}
+            <div className="relative inline-block text-left">
+              <div>
+                <Button
+                  variant="outline"
+                  size="sm"
+                  className="flex items-center"
+                  onClick={() => setAlgorithmDropdownOpen(!algorithmDropdownOpen)}
+                  disabled={solving}
+                >
+                  {ALGORITHMS[algorithm].label} <ChevronDown className="ml-1 h-4 w-4" />
+                </Button>
+              </div>
+
+              {algorithmDropdownOpen && (
+                <div className="origin-top-right absolute right-0 mt-2 w-48 rounded-md shadow-lg bg-white ring-1 ring-black ring-opacity-5 z-10">
+                  <div className="py-1">
+                    {Object.entries(ALGORITHMS).map(([key, { label }]) => (
+                      <button
+                        key={key}
+                        onClick={() => {
+                          setAlgorithm(key);
+                          setAlgorithmDropdownOpen(false);
+                        }}
+                        className="w-full text-left px-4 py-2 text-sm text-gray-700 hover:bg-gray-100"
+                      >
+                        {label}
+                      </button>
+                    ))}
+                    <label className="flex items-center gap-2 px-4 py-2 text-sm text-gray-700 border-t">
+                      <input
+                        type="checkbox"
+                        checked={compareEncodings}
+                        onChange={(e) => setCompareEncodings(e.target.checked)}
+                      />
+                      Measure key savings
+                    </label>
+                  </div>
+                </div>
+              )}
+            </div>
             {/* 3.1. Add Difficulty Dropdown */}
             <div className="relative inline-block text-left">
               <div>
@@ -514,60 +817,318 @@ const generateRandomPuzzle = (selectedDifficulty) => {
       <CardContent>
         <div className="space-y-6">
           {/* 4. Add Reset Button */}
-          <div className="flex justify-center">
-            <Button variant="outline" size="sm" onClick={resetPuzzle} disabled={moveHistory.length === 0 && redoStack.length === 0}>
+          <div className="flex justify-center gap-2">
+            <Button variant="outline" size="sm" onClick={resetPuzzle} disabled={historyLocked || !canUndo(moveTree)}>
               Reset
             </Button>
+            <Button
+              variant={timelineOpen ? 'secondary' : 'outline'}
+              size="sm"
+              onClick={() => setTimelineOpen(!timelineOpen)}
+              aria-pressed={timelineOpen}
+            >
+              <GitBranch className="h-4 w-4" />
+              Timeline
+            </Button>
+            <Button
+              variant={replayOpen ? 'secondary' : 'outline'}
+              size="sm"
+              onClick={() => setReplayOpen(!replayOpen)}
+              aria-pressed={replayOpen}
+            >
+              <Clapperboard className="h-4 w-4" />
+              Replay
+            </Button>
           </div>
 
+          {timelineOpen && (
+            <MoveTimeline
+              key={activeGameId}
+              tree={moveTree}
+              initialTubes={initialTubes}
+              maxBalls={maxBalls}
+              tubeSpecs={tubeSpecs}
+              onJump={jumpToNode}
+            />
+          )}
+
+          {replayOpen && (
+            <ReplayPanel
+              key={activeGameId}
+              currentReplay={currentReplay}
+              skinSettings={skinSettings}
+              moveSpeed={moveSpeed}
+              onPlayPuzzle={(puzzle) => {
+                loadPuzzle(puzzle.tubes, puzzle.maxBalls, { tubeSpecs: puzzle.tubeSpecs });
+                setReplayOpen(false);
+              }}
+            />
+          )}
+
+          {appearanceOpen && (
+            <AppearancePanel
+              skinSettings={skinSettings}
+              onSkinChange={setSkinSettings}
+              customPalette={customPalette}
+              onPaletteChange={setCustomPalette}
+              moveSpeed={moveSpeed}
+              onMoveSpeedChange={setMoveSpeed}
+            />
+          )}
+
+          {savedGamesOpen && (
+            <SavedGamesPanel
+              activeGameId={activeGameId}
+              onLoad={(game) => {
+                applySession(game.id, game.session);
+                setSavedGamesOpen(false);
+              }}
+            />
+          )}
+
+          {autosave.dropped.length > 0 && (
+            <div className="flex items-center justify-between gap-2 bg-orange-50 p-3 rounded-md text-sm" role="alert">
+              <span>
+                Only {MAX_SAVED_GAMES} games are kept, so the unfinished game{autosave.dropped.length === 1 ? '' : 's'} last
+                saved {autosave.dropped.map(game => new Date(game.savedAt).toLocaleString()).join(', ')} made room.
+              </span>
+              <Button variant="ghost" size="sm" onClick={autosave.clearDropped}>
+                Dismiss
+              </Button>
+            </div>
+          )}
+
+          {sharePanelOpen && (
+            <PuzzleCodePanel
+              code={encodePuzzle(initialTubes, maxBalls, tubeSpecs)}
+              shareUrl={`${window.location.origin}${window.location.pathname}${puzzleHash(initialTubes, maxBalls, tubeSpecs)}`}
+              onLoad={loadPuzzleCode}
+            />
+          )}
+
+          {editorPuzzle && (
+            <PuzzleEditor
+              key={serializeTubes(editorPuzzle.tubes)}
+              initialTubes={editorPuzzle.tubes}
+              initialMaxBalls={editorPuzzle.maxBalls}
+              initialTubeSpecs={editorPuzzle.tubeSpecs}
+              extraColors={customPalette}
+              skinSettings={skinSettings}
+              onPlay={playEditedPuzzle}
+              onSolve={solveEditedPuzzle}
+              onCancel={() => setEditorPuzzle(null)}
+            />
+          )}
+
+          {importOpen && (
+            <ScreenshotImportDialog
+              onCancel={() => setImportOpen(false)}
+              onImport={(importedTubes, importedMaxBalls) => {
+                setImportOpen(false);
+                setEditorPuzzle({ tubes: importedTubes, maxBalls: importedMaxBalls });
+              }}
+            />
+          )}
+
           {/* Game grid */}
-          <div className="grid grid-cols-6 gap-4 justify-center">
-            {tubes.map((tube, tubeIndex) => (
-              <div 
-                key={tubeIndex} 
-                className="flex flex-col items-center"
-                ref={el => tubeRefs.current[tubeIndex] = el}
-              >
+          {!editorPuzzle && (
+            <div
+              className="flex flex-wrap gap-4 justify-center items-end"
+              role="group"
+              aria-label="Tubes"
+              aria-describedby="board-instructions"
+              onKeyDown={handleGridKeyDown}
+            >
+              <p id="board-instructions" className="sr-only">
+                Use the arrow keys to choose a tube, Enter or Space to pick up its top ball and again on
+                another tube to drop it, Escape to put it back, and Control Z or Control Y to undo or redo.
+              </p>
+              {animation.tubes.map((tube, tubeIndex) => (
                 <div 
-                  className={`flex flex-col space-y-1 border rounded p-2 ${
-                    dragState.dragging && isValidMove(dragState.sourceIndex, tubeIndex) 
-                      ? 'border-green-500' 
-                      : ''
+                  key={tubeIndex} 
+                  className={`flex flex-col items-center rounded focus:outline-none focus-visible:ring-2 focus-visible:ring-blue-500 ${
+                    playback.active ? '' : 'touch-none'
                   } ${
-                    dragState.invalidMove && dragState.sourceIndex === tubeIndex 
-                      ? 'shake' 
-                      : ''
+                    lockedTubes[tubeIndex] ? 'opacity-60' : ''
                   }`}
-                  onDragOver={(e) => handleDragOver(e, tubeIndex)}
-                  onDrop={(e) => handleDrop(e, tubeIndex)}
+                  ref={el => tubeRefs.current[tubeIndex] = el}
+                  title={lockedTubes[tubeIndex] ? describeUnlock(tubeSpecs[tubeIndex].unlock) : undefined}
+                  data-tube-index={tubeIndex}
+                  {...(!playback.active && !animation.animating && interaction.tubeProps(tubeIndex))}
+                  role="button"
+                  tabIndex={tubeIndex === Math.min(focusedTube, boardTubes.length - 1) ? 0 : -1}
+                  aria-pressed={moveSource === tubeIndex}
+                  aria-label={`${describeTube(
+                    boardTubes[tubeIndex], tubeIndex, tubeCapacity(maxBalls, tubeSpecs, tubeIndex),
+                    showAllBalls ? null : revealMask[tubeIndex]
+                  )}${lockedTubes[tubeIndex] ? `, locked. ${describeUnlock(tubeSpecs[tubeIndex].unlock)}` : ''}`}
+                  onFocus={() => setFocusedTube(tubeIndex)}
                 >
-                  {Array(initialPuzzleState.maxBalls - tube.length)
-                    .fill(null)
-                    .map((_, i) => (
-                      <div key={`empty-${i}`} className="w-8 h-8 border rounded-full" />
+                  <div 
+                    className={`flex flex-col space-y-1 border rounded p-2 select-none transition-transform ${
+                      playback.active ? '' : 'cursor-pointer'
+                    } ${
+                      moveSource !== null && moveSource !== tubeIndex && isValidMove(moveSource, tubeIndex)
+                        ? 'border-green-500' 
+                        : ''
+                    } ${
+                      moveSource === tubeIndex && !interaction.drag ? '-translate-y-3 shadow-lg border-blue-500' : ''
+                    } ${
+                      interaction.shakingTube === tubeIndex 
+                        ? 'shake' 
+                        : ''
+                    } ${
+                      playback.lastMove?.from === tubeIndex ? 'border-amber-400 border-2' : ''
+                    } ${
+                      playback.lastMove?.to === tubeIndex ? 'border-blue-500 border-2' : ''
+                    } ${
+                      hintMove?.from === tubeIndex ? 'ring-2 ring-yellow-400' : ''
+                    } ${
+                      hintMove?.to === tubeIndex ? 'ring-2 ring-green-400' : ''
+                    }`}
+                  >
+                    {Array(Math.max(tubeCapacity(maxBalls, tubeSpecs, tubeIndex) - tube.length, 0))
+                      .fill(null)
+                      .map((_, i) => (
+                        <div key={`empty-${i}`} className="w-8 h-8 border rounded-full" />
+                      ))}
+                    {tube.map((ball, ballIndex) => (
+                      // The mask fits boardTubes; tubes drawn mid-flight line up with it from the bottom
+                      showAllBalls || revealMask[tubeIndex][ballIndex + boardTubes[tubeIndex].length - tube.length] ? (
+                        <Ball
+                          key={ballIndex}
+                          code={ball}
+                          skin={ballSkin}
+                          className={ballIndex === 0 && interaction.drag?.source === tubeIndex ? 'opacity-30' : ''}
+                        />
+                      ) : (
+                        <div
+                          key={ballIndex}
+                          className="w-8 h-8 rounded-full bg-gray-300 flex items-center justify-center font-bold text-gray-600"
+                        >
+                          ?
+                        </div>
+                      )
                     ))}
-                  {tube.map((ball, ballIndex) => (
-                    <div
-                      key={ballIndex}
-                      className={`w-8 h-8 rounded-full ${
-                        ballIndex === 0 ? 'cursor-grab active:cursor-grabbing' : ''
-                      }`}
-                      style={{ backgroundColor: COLORS[ball].hex }}
-                      draggable={ballIndex === 0}
-                      onDragStart={(e) => handleDragStart(e, tubeIndex)}
-                      onDragEnd={handleDragEnd}
-                    />
-                  ))}
+                  </div>
+                  <span className="flex items-center gap-1 text-sm text-gray-500">
+                    {lockedTubes[tubeIndex] && <Lock className="h-3 w-3" />}
+                    {tubeSpecs?.[tubeIndex]?.onlyColor && (
+                      <Ball
+                        code={tubeSpecs[tubeIndex].onlyColor}
+                        skin={ballSkin}
+                        className="w-4 h-4 text-[10px] border"
+                        title={`Only ${getColor(tubeSpecs[tubeIndex].onlyColor).name}`}
+                      />
+                    )}
+                    Tube {tubeIndex + 1}
+                  </span>
                 </div>
-                <span className="text-sm text-gray-500">Tube {tubeIndex + 1}</span>
-              </div>
-            ))}
-          </div>
+              ))}
+            </div>
+          )}
+
+          {/* Moves, refused moves and completion for screen readers */}
+          <div className="sr-only" role="status" aria-live="polite">{announcement}</div>
+
+          {/* Ball following a touch or mouse drag */}
+          {interaction.drag && tubes[interaction.drag.source].length > 0 && (
+            <Ball
+              code={tubes[interaction.drag.source][0]}
+              skin={ballSkin}
+              className="fixed z-50 shadow-lg pointer-events-none -translate-x-1/2 -translate-y-1/2"
+              style={{ left: interaction.drag.x, top: interaction.drag.y }}
+            />
+          )}
+
+          {animation.flight && (
+            <MoveFlight
+              flight={animation.flight}
+              tubeRefs={tubeRefs}
+              skin={ballSkin}
+              duration={animation.duration}
+              onDone={animation.finishFlight}
+            />
+          )}
+
+          {hidingBalls && (
+            <p className="text-sm text-gray-500 text-center">
+              {countHidden(revealMask)} ball{countHidden(revealMask) === 1 ? ' is' : 's are'} hidden. Hints, dead-end
+              warnings and the solver still work from the true colours.
+            </p>
+          )}
+
+          {/* Stuck warnings */}
+          {!isComplete && !playback.active && (playAnalysis.stuck || playAnalysis.loopLength || deadEnd) && (
+            <div className="bg-orange-50 p-3 rounded-md text-sm space-y-2" role="alert">
+              {playAnalysis.stuck && (
+                <div className="flex items-center font-medium text-orange-800">
+                  <AlertCircle className="h-4 w-4 mr-2" />
+                  No legal moves left.
+                </div>
+              )}
+              {positionAnalysis?.status === 'dead-end' && (
+                <div className="flex flex-wrap items-center gap-2">
+                  <span>
+                    This position can no longer be solved
+                    {hidingBalls && ' (judged with the hidden colours)'}.
+                    Undoing {positionAnalysis.undoCount} move{positionAnalysis.undoCount === 1 ? '' : 's'} gets
+                    back to one that can.
+                  </span>
+                  <Button variant="outline" size="sm" onClick={() => undoMoves(positionAnalysis.undoCount)}>
+                    <Undo2 className="h-4 w-4" />
+                    Undo {positionAnalysis.undoCount}
+                  </Button>
+                </div>
+              )}
+              {positionAnalysis?.status === 'unsolvable' && (
+                <div>This puzzle cannot be solved from its starting position.</div>
+              )}
+              {playAnalysis.loopLength && (
+                <div className="flex flex-wrap items-center gap-2">
+                  <span>
+                    You were in this exact position {playAnalysis.loopLength} moves ago, so those moves went
+                    round in a circle.
+                  </span>
+                  <Button variant="outline" size="sm" onClick={() => undoMoves(playAnalysis.loopLength)}>
+                    <Undo2 className="h-4 w-4" />
+                    Undo {playAnalysis.loopLength}
+                  </Button>
+                </div>
+              )}
+            </div>
+          )}
+
+          {/* Hint */}
+          {currentHint && !isComplete && (
+            <div className="flex items-center justify-center bg-yellow-50 p-3 rounded-md text-sm">
+              <Lightbulb className="h-4 w-4 mr-2 text-yellow-600" />
+              {currentHint.status === 'move' && (
+                <span>
+                  Hint: {describeMove(currentHint.move, currentHint.forTubes)} ({currentHint.movesLeft} moves to go
+                  {hidingBalls && ', planned with the hidden colours'})
+                </span>
+              )}
+              {currentHint.status === 'dead-end' && (
+                <span>
+                  No solution from here — undo {currentHint.undoCount} move{currentHint.undoCount === 1 ? '' : 's'} to get back on track
+                </span>
+              )}
+              {currentHint.status === 'unsolvable' && <span>This puzzle cannot be solved from its starting position</span>}
+              {currentHint.status === 'invalid' && <span>The puzzle is not valid: {currentHint.errors.join(', ')}</span>}
+              {currentHint.status === 'gave-up' && <span>No hint found in time ({currentHint.reason})</span>}
+            </div>
+          )}
 
           {/* Completion Message */}
           {isComplete && (
             <div className="flex flex-col items-center mt-4">
               <p className="text-2xl">🎉 Congratulations! You've solved the puzzle! 🎉</p>
+              <p className="text-sm text-gray-600">
+                {movesPlayed} moves{movesPlayed !== moveCount && ` (${moveCount} on the winning line)`} in {formatDuration(elapsedMs)},
+                {' '}{hintsUsed === 0 ? 'no hints' : `${hintsUsed} hint${hintsUsed === 1 ? '' : 's'}`} and
+                {' '}{undosUsed === 0 ? 'no undos' : `${undosUsed} undo${undosUsed === 1 ? '' : 's'}`} used
+              </p>
               <Confetti />
             </div>
           )}
@@ -587,6 +1148,27 @@ const generateRandomPuzzle = (selectedDifficulty) => {
             </div>
           )}
 
+          {/* Live Search Progress */}
+          {solving && (
+            <div className="bg-blue-50 p-4 rounded-md space-y-2">
+              <div className="flex items-center">
+                <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                <h3 className="font-medium">Searching with {ALGORITHMS[algorithm].label}...</h3>
+              </div>
+              {progress ? (
+                <ul className="space-y-1">
+                  <li>Elapsed: {progress.searchDuration.toFixed(1)} seconds</li>
+                  <li>States explored: {progress.totalStatesExplored.toLocaleString()}</li>
+                  <li>States per second: {progress.statesPerSecond.toLocaleString()}</li>
+                  <li>Queue size: {progress.queueSize.toLocaleString()}</li>
+                  <li>Estimated memory: {formatBytes(progress.estimatedMemoryBytes)}</li>
+                </ul>
+              ) : (
+                <p className="text-sm text-gray-500">Starting search...</p>
+              )}
+            </div>
+          )}
+
           {/* Solution Display */}
                         {solution && (
             <div className="mt-4 space-y-4">
@@ -596,20 +1178,27 @@ const generateRandomPuzzle = (selectedDifficulty) => {
                     <CheckCircle2 className="h-5 w-5 mr-2" />
                     <span>Solution found in {solution.moves.length} moves!</span>
                   </div>
-                  <div className="bg-blue-50 p-4 rounded-md space-y-2">
-                    <h3 className="font-medium">Search Statistics:</h3>
-                    <ul className="space-y-1">
-                      <li>Search duration: {solution.searchStats.searchDuration.toFixed(2)} seconds</li>
-                      <li>States explored: {solution.searchStats.totalStatesExplored.toLocaleString()}</li>
-                      <li>States per second: {solution.searchStats.statesPerSecond.toLocaleString()}</li>
-                      <li>Maximum queue size: {solution.searchStats.maxQueueSize.toLocaleString()}</li>
-                    </ul>
-                  </div>
+                  {mysteryMode && countHidden(revealMaskAfter(initialTubes, solveBaseHistory)) > 0 && (
+                    <div className="flex items-center bg-amber-50 text-amber-800 p-3 rounded-md text-sm">
+                      <EyeOff className="h-4 w-4 mr-2" />
+                      Solvable given the true colours: the solver saw the hidden balls, so the moves below give them away.
+                    </div>
+                  )}
+                  <SearchStats stats={solution.searchStats} />
+                  {playback.available && (
+                    <SolutionPlayback playback={playback} onTakeOver={takeOverFromPlayback} />
+                  )}
                   <div className="space-y-2">
-                    {solution.moves.map((move, idx) => (
-                      <div key={idx} className="p-2 bg-gray-50 rounded">
-                        <span className="font-medium">Move {idx + 1}:</span> {move}
-                      </div>
+                    {describeMoves(solution.startTubes, solution.moves).map((description, idx) => (
+                      <button
+                        key={idx}
+                        onClick={() => playback.jumpTo(idx + 1)}
+                        className={`block w-full text-left p-2 rounded ${
+                          playback.active && playback.step === idx + 1 ? 'bg-blue-100' : 'bg-gray-50 hover:bg-gray-100'
+                        }`}
+                      >
+                        <span className="font-medium">Move {idx + 1}:</span> {description}
+                      </button>
                     ))}
                   </div>
                 </>
@@ -619,25 +1208,42 @@ const generateRandomPuzzle = (selectedDifficulty) => {
                     <AlertCircle className="h-5 w-5 mr-2" />
                     <span>{solution.error}</span>
                   </div>
-                  {solution.searchStats && (
-                    <div className="bg-blue-50 p-4 rounded-md space-y-2">
-                      <h3 className="font-medium">Search Statistics:</h3>
-                      <ul className="space-y-1">
-                        <li>Search duration: {solution.searchStats.searchDuration.toFixed(2)} seconds</li>
-                        <li>States explored: {solution.searchStats.totalStatesExplored.toLocaleString()}</li>
-                        <li>States per second: {solution.searchStats.statesPerSecond.toLocaleString()}</li>
-                        <li>Maximum queue size: {solution.searchStats.maxQueueSize.toLocaleString()}</li>
-                      </ul>
-                    </div>
-                  )}
+                  {solution.searchStats && <SearchStats stats={solution.searchStats} />}
                 </div>
               )}
             </div>
           )}
 
+          {statsOpen && (
+            <StatsDialog
+              initialGroup={puzzleRating?.difficulty ?? difficulty}
+              onClose={() => setStatsOpen(false)}
+            />
+          )}
+
+          {setupOpen && (
+            <BoardSetupDialog
+              config={boardConfig}
+              extraColors={customPalette.length}
+              onCancel={() => setSetupOpen(false)}
+              onStart={(config, seed) => {
+                setBoardConfig(config);
+                setSetupOpen(false);
+                startNewGame(config, seed);
+              }}
+            />
+          )}
+
           {/* Indicate Current Difficulty */}
-          <div className="flex justify-center">
+          <div className="flex flex-col items-center">
             <span className="text-sm font-medium">Difficulty: {difficulty}</span>
+            {puzzleRating && (
+              <span className="text-xs text-gray-500">
+                {puzzleRating.inBand ? 'Rated' : `Closest found was rated ${puzzleRating.difficulty}:`} {puzzleRating.score}
+                {' '}({puzzleRating.optimalMoves} optimal moves, {puzzleRating.branchingFactor.toFixed(1)} choices per move,
+                {' '}{Math.round(puzzleRating.deadEndDensity * 100)}% dead-end turns, seed {puzzleRating.seed})
+              </span>
+            )}
           </div>
         </div>
       </CardContent>
@@ -0,0 +1,135 @@
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+import { Button } from '@/components/ui/button';
+import { Plus, X } from 'lucide-react';
+import { COLORS, customColorCode, getColor } from '@/lib/puzzle';
+import { BALL_STYLES, MAX_CUSTOM_COLORS, createBallSkin } from '@/lib/ballSkins';
+import { EMOJI_SETS } from '@/lib/emojiSets';
+import Ball from '@/components/Ball';
+import { MOVE_SPEEDS } from '@/hooks/useMoveAnimation';
+import { skinSettingsShape } from '@/lib/propShapes';
+
+// Ball style, palette and animation settings. customPalette lists custom colour codes
+// that New Game can use once a board needs more colours than are built in.
+const AppearancePanel = ({
+  skinSettings, onSkinChange, customPalette, onPaletteChange, moveSpeed, onMoveSpeedChange
+}) => {
+  const [newColor, setNewColor] = useState('#FF8800');
+  const palette = [...Object.keys(COLORS), ...customPalette];
+  const skin = createBallSkin(palette, skinSettings);
+  const newCode = customColorCode(newColor);
+  const duplicate = palette.includes(newCode);
+
+  const update = changes => onSkinChange({ ...skinSettings, ...changes });
+
+  return (
+    <div className="bg-gray-50 p-4 rounded-md space-y-3">
+      <h3 className="font-medium">Ball Appearance</h3>
+      <div className="flex flex-wrap items-center gap-2">
+        {Object.entries(BALL_STYLES).map(([key, { label }]) => (
+          <Button
+            key={key}
+            variant={skinSettings.style === key ? 'secondary' : 'outline'}
+            size="sm"
+            onClick={() => update({ style: key })}
+            aria-pressed={skinSettings.style === key}
+          >
+            {label}
+          </Button>
+        ))}
+        {skinSettings.style === 'emoji' && (
+          <select
+            className="rounded border px-2 py-1 text-sm"
+            value={skinSettings.emojiSet}
+            onChange={(e) => update({ emojiSet: e.target.value })}
+            aria-label="Emoji set"
+          >
+            {Object.entries(EMOJI_SETS).map(([key, emojis]) => (
+              <option key={key} value={key}>{emojis[0]} {key}</option>
+            ))}
+          </select>
+        )}
+        <label className="flex items-center gap-2 text-sm">
+          <input
+            type="checkbox"
+            checked={skinSettings.highContrast}
+            onChange={(e) => update({ highContrast: e.target.checked })}
+          />
+          High-contrast colours
+        </label>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2 text-sm">
+        <span>Move animation</span>
+        {Object.entries(MOVE_SPEEDS).map(([key, { label }]) => (
+          <Button
+            key={key}
+            variant={moveSpeed === key ? 'secondary' : 'outline'}
+            size="sm"
+            onClick={() => onMoveSpeedChange(key)}
+            aria-pressed={moveSpeed === key}
+          >
+            {label}
+          </Button>
+        ))}
+        <span className="text-gray-500">Off whenever the system asks for reduced motion</span>
+      </div>
+
+      <div className="space-y-2">
+        <h4 className="text-sm font-medium">Palette ({palette.length} colours)</h4>
+        <div className="flex flex-wrap gap-2">
+          {palette.map(code => (
+            <div key={code} className="flex flex-col items-center text-xs" title={getColor(code).name}>
+              <Ball code={code} skin={skin} />
+              {Object.hasOwn(COLORS, code) ? (
+                <span className="text-gray-400">built-in</span>
+              ) : (
+                <button
+                  type="button"
+                  className="flex items-center text-gray-500 hover:text-red-600"
+                  onClick={() => onPaletteChange(customPalette.filter(other => other !== code))}
+                  aria-label={`Remove ${getColor(code).name}`}
+                >
+                  remove <X className="h-3 w-3" />
+                </button>
+              )}
+            </div>
+          ))}
+        </div>
+        <div className="flex items-center gap-2 text-sm">
+          <input
+            type="color"
+            value={newColor}
+            onChange={(e) => setNewColor(e.target.value)}
+            aria-label="New colour"
+          />
+          <Button
+            variant="outline"
+            size="sm"
+            onClick={() => onPaletteChange([...customPalette, newCode])}
+            disabled={duplicate || customPalette.length >= MAX_CUSTOM_COLORS}
+          >
+            <Plus className="h-4 w-4" />
+            Add colour
+          </Button>
+          <span className="text-gray-500">
+            {duplicate
+              ? 'Already in the palette'
+              : `Custom colours are used by New Game once a board needs more than ${Object.keys(COLORS).length}`}
+          </span>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+AppearancePanel.propTypes = {
+  skinSettings: skinSettingsShape.isRequired,
+  onSkinChange: PropTypes.func.isRequired,
+  customPalette: PropTypes.arrayOf(PropTypes.string).isRequired,
+  onPaletteChange: PropTypes.func.isRequired,
+  moveSpeed: PropTypes.string.isRequired,
+  onMoveSpeedChange: PropTypes.func.isRequired
+};
+
+export default AppearancePanel;
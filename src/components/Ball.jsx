@@ -0,0 +1,26 @@
+import PropTypes from 'prop-types';
+import { cn } from '@/lib/utils';
+
+// A ball drawn with a skin from createBallSkin; extra props go to the element
+const Ball = ({ code, skin, className, style, ...props }) => {
+  const { style: skinStyle, symbol } = skin(code);
+  return (
+    <div
+      className={cn('w-8 h-8 rounded-full flex items-center justify-center text-lg leading-none select-none', className)}
+      style={{ ...skinStyle, ...style }}
+      {...props}
+    >
+      {symbol}
+    </div>
+  );
+};
+
+Ball.propTypes = {
+  code: PropTypes.string.isRequired,
+  // code => { style, symbol }, see createBallSkin
+  skin: PropTypes.func.isRequired,
+  className: PropTypes.string,
+  style: PropTypes.object
+};
+
+export default Ball;
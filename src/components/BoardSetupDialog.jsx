@@ -0,0 +1,80 @@
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+import { Button } from '@/components/ui/button';
+import { Card, CardContent, CardFooter, CardHeader, CardTitle } from '@/components/ui/card';
+import { Input } from '@/components/ui/input';
+import { boardLimits, clampBoardConfig } from '@/lib/generator';
+
+const FIELDS = [
+  { key: 'colors', label: 'Colours' },
+  { key: 'capacity', label: 'Tube capacity' },
+  { key: 'emptyTubes', label: 'Spare tubes' }
+];
+
+// extraColors is how many custom palette colours can be added to the built-in ones
+const BoardSetupDialog = ({ config, extraColors = 0, onStart, onCancel }) => {
+  const [draft, setDraft] = useState(config);
+  const [seed, setSeed] = useState('');
+  const limits = boardLimits(extraColors);
+  const clamped = clampBoardConfig(draft, extraColors);
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/40">
+      <Card className="w-full max-w-sm">
+        <CardHeader>
+          <CardTitle className="text-lg">New Game Setup</CardTitle>
+        </CardHeader>
+        <CardContent className="space-y-4">
+          {FIELDS.map(({ key, label }) => (
+            <label key={key} className="flex items-center justify-between gap-4 text-sm">
+              <span>
+                {label}
+                <span className="ml-1 text-gray-500">({limits[key].min}–{limits[key].max})</span>
+              </span>
+              <Input
+                type="number"
+                className="w-20"
+                min={limits[key].min}
+                max={limits[key].max}
+                value={draft[key]}
+                onChange={(e) => setDraft(prev => ({ ...prev, [key]: e.target.value }))}
+              />
+            </label>
+          ))}
+          <label className="flex items-center justify-between gap-4 text-sm">
+            <span>
+              Seed
+              <span className="ml-1 text-gray-500">(optional)</span>
+            </span>
+            <Input
+              className="w-32"
+              placeholder="random"
+              value={seed}
+              onChange={(e) => setSeed(e.target.value)}
+            />
+          </label>
+          <p className="text-sm text-gray-500">
+            {clamped.colors + clamped.emptyTubes} tubes, {clamped.colors * clamped.capacity} balls
+          </p>
+        </CardContent>
+        <CardFooter className="justify-end gap-2">
+          <Button variant="ghost" size="sm" onClick={onCancel}>Cancel</Button>
+          <Button size="sm" onClick={() => onStart(clamped, seed.trim() || null)}>Start</Button>
+        </CardFooter>
+      </Card>
+    </div>
+  );
+};
+
+BoardSetupDialog.propTypes = {
+  config: PropTypes.shape({
+    colors: PropTypes.number.isRequired,
+    capacity: PropTypes.number.isRequired,
+    emptyTubes: PropTypes.number.isRequired
+  }).isRequired,
+  extraColors: PropTypes.number,
+  onStart: PropTypes.func.isRequired,
+  onCancel: PropTypes.func.isRequired
+};
+
+export default BoardSetupDialog;
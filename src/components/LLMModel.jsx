@@ -3,23 +3,9 @@ import { Card, CardContent, CardDescription, CardFooter, CardHeader, CardTitle }
 import { Button } from "@/components/ui/button"
 import { Input } from "@/components/ui/input"
 import { Boxes, Cpu, Network, Lightbulb, ArrowRight } from 'lucide-react'
+import { EMOJI_SETS } from '@/lib/emojiSets'
 //import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select"
 
-const EMOJI_SETS = {
-  fruits: ['🍎', '🍌', '🍇', '🍊', '🍓', '🍉', '🍍', '🥝', '🍐', '🍑', '🍒', '🥭', '🫐', '🍋', '🍈', '🍏'],
-  vehicles: ['🚗', '🚌', '🚲', '🏍️', '🚁', '🚂', '🚢', '🛩️', '🚜', '🚓', '🚑', '🚒', '🛵', '🚠', '🛶', '🛸'],
-  animals: ['🐶', '🐱', '🐵', '🦁', '🐘', '🦒', '🐧', '🦋', '🐸', '🦜', '🐬', '🦘', '🦥', '🦊', '🐼', '🦖'],
-  weather: ['☀️', '☁️', '🌧️', '❄️', '🌈', '⚡', '🌪️', '🌊', '🌁', '🌀', '🌤️', '🌥️', '🌦️', '🌨️', '🌩️', '🌫️'],
-  sports: ['⚽', '🏀', '🎾', '🏈', '⚾', '🏐', '🏓', '🏸', '🥊', '🏊', '🏄', '🚴', '⛷️', '🏋️', '🤸', '🤺'],
-  food: ['🍕', '🍔', '🌭', '🍟', '🌮', '🍣', '🍜', '🍝', '🍳', '🥐', '🥨', '🥞', '🧇', '🥯', '🥪', '🌯'],
-  faces: ['😀', '😂', '🥳', '😎', '🤔', '😍', '😴', '🤯', '🥸', '🤠', '🤡', '👻', '👽', '🤖', '💩', '🎃'],
-  plants: ['🌻', '🌼', '🌸', '🌺', '🌷', '🌹', '🍀', '🍁', '🍂', '🍃', '🌵', '🌴', '🌲', '🌳', '🍄', '🌱'],
-  objects: ['📱', '💻', '⌚', '📷', '🔋', '💡', '🔨', '🧲', '🔭', '🔬', '📚', '✏️', '🖍️', '🧷', '🧵', '🧶'],
-  flags: ['🏁', '🚩', '🎌', '🏴', '🏳️', '🏳️‍🌈', '🏳️‍⚧️', '🏴‍☠️', '🇺🇳', '🇦🇺', '🇨🇦', '🇯🇵', '🇰🇷', '🇬🇧', '🇺🇸', '🇪🇺'],
-  music: ['🎵', '🎶', '🎼', '🎹', '🥁', '🎸', '🎻', '🎺', '🎷', '🪕', '🪗', '🎤', '🎧', '📻', '🔉', '🔊'],
-  space: ['🌙', '🌍', '🪐', '🌟', '⭐', '💫', '☄️', '🌠', '🌌', '🚀', '🛸', '🔭', '🌑', '🌕']
-};
-
 const DIFFICULTIES = {
   easy: { gridSize: 4, numRemove: [4, 6] },
   medium: { gridSize: 6, numRemove: [15, 20] },
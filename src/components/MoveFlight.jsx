@@ -0,0 +1,89 @@
+import { useLayoutEffect, useRef } from 'react';
+import PropTypes from 'prop-types';
+import Ball from '@/components/Ball';
+import { moveShape, tubesShape } from '@/lib/propShapes';
+
+// Height above the taller of the two tubes that balls are lifted to
+const LIFT_HEIGHT = 48;
+
+// Centre of a ball slot on screen; slots are the children of a tube's ball column,
+// top slot first, so the balls of a tube of length n fill the last n
+const slotRect = (tubeElement, tubeLength, ballIndex) => {
+  const column = tubeElement?.firstElementChild;
+  if (!column) return null;
+  return column.children[column.children.length - tubeLength + ballIndex]?.getBoundingClientRect() ?? null;
+};
+
+// Flies the balls of a queued move (see useMoveAnimation) out of the source tube, over
+// to the target and down into it, then calls onDone. The board shows neither tube
+// holding them in the meantime.
+const MoveFlight = ({ flight, tubeRefs, skin, duration, onDone }) => {
+  const ballRefs = useRef([]);
+  // The duration shrinks as moves queue up; a flight in the air keeps its own
+  const durationRef = useRef(duration);
+  durationRef.current = duration;
+
+  useLayoutEffect(() => {
+    const { move: { from, to, count }, before, after } = flight;
+    const fromElement = tubeRefs.current[from];
+    const toElement = tubeRefs.current[to];
+    const starts = Array.from({ length: count }, (_, j) => slotRect(fromElement, before[from].length, j));
+    const ends = Array.from({ length: count }, (_, j) => slotRect(toElement, after[to].length, j));
+    if (!fromElement || !toElement || [...starts, ...ends].some(rect => !rect)) {
+      onDone();
+      return undefined;
+    }
+
+    const liftTop = Math.min(fromElement.getBoundingClientRect().top, toElement.getBoundingClientRect().top) - LIFT_HEIGHT;
+    const animations = ballRefs.current.slice(0, count).map((element, j) => {
+      const start = starts[j];
+      const end = ends[j];
+      // Balls of a run keep their spacing in the air
+      const lift = liftTop + (start.top - starts[0].top);
+      const at = (left, top) => ({ transform: `translate(${left}px, ${top}px)` });
+      return element.animate([
+        at(start.left, start.top),
+        { ...at(start.left, lift), offset: 0.3 },
+        { ...at((start.left + end.left) / 2, lift - LIFT_HEIGHT / 3), offset: 0.5 },
+        { ...at(end.left, lift), offset: 0.7 },
+        at(end.left, end.top)
+      ], { duration: durationRef.current, easing: 'ease-in-out', fill: 'both' });
+    });
+
+    let cancelled = false;
+    Promise.all(animations.map(animation => animation.finished))
+      .then(() => {
+        if (!cancelled) onDone();
+      })
+      .catch(() => {});
+    return () => {
+      cancelled = true;
+      animations.forEach(animation => animation.cancel());
+    };
+  }, [flight, tubeRefs, onDone]);
+
+  return flight.before[flight.move.from].slice(0, flight.move.count).map((code, j) => (
+    <div
+      key={j}
+      ref={el => ballRefs.current[j] = el}
+      className="fixed left-0 top-0 z-40 pointer-events-none"
+    >
+      <Ball code={code} skin={skin} className="shadow-lg" />
+    </div>
+  ));
+};
+
+MoveFlight.propTypes = {
+  // A queued flight from useMoveAnimation
+  flight: PropTypes.shape({
+    move: moveShape.isRequired,
+    before: tubesShape.isRequired,
+    after: tubesShape.isRequired
+  }).isRequired,
+  tubeRefs: PropTypes.shape({ current: PropTypes.array }).isRequired,
+  skin: PropTypes.func.isRequired,
+  duration: PropTypes.number.isRequired,
+  onDone: PropTypes.func.isRequired
+};
+
+export default MoveFlight;
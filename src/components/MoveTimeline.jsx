@@ -0,0 +1,147 @@
+import { useMemo, useState } from 'react';
+import PropTypes from 'prop-types';
+import { Button } from '@/components/ui/button';
+import { CheckCircle2 } from 'lucide-react';
+import { applyMove, describeMove, isSolved } from '@/lib/puzzle';
+import { layoutMoveTree, leavesOf, commonAncestor } from '@/lib/moveTree';
+import { moveTreeShape, tubesShape, tubeSpecsShape } from '@/lib/propShapes';
+
+const STEP_X = 28;
+const STEP_Y = 28;
+const MARGIN = 12;
+
+const point = ({ depth, row }) => ({ x: MARGIN + depth * STEP_X, y: MARGIN + row * STEP_Y });
+
+// The undo tree as a graph: one column per move, one row per branch. Clicking a
+// node shows that position; ticking two branch ends compares them.
+const MoveTimeline = ({ tree, initialTubes, maxBalls, tubeSpecs, onJump }) => {
+  const [compared, setCompared] = useState([]);
+
+  // Position after each node, for move descriptions and solved checks
+  const nodeTubes = useMemo(() => {
+    const result = [initialTubes];
+    tree.nodes.forEach((node, id) => {
+      if (id > 0) result[id] = applyMove(result[node.parent], node.move);
+    });
+    return result;
+  }, [tree, initialTubes]);
+
+  const { positions, rows } = useMemo(() => layoutMoveTree(tree), [tree]);
+  const currentLine = useMemo(() => {
+    const line = new Set();
+    for (let id = tree.current; id !== null; id = tree.nodes[id].parent) line.add(id);
+    return line;
+  }, [tree]);
+  const leaves = leavesOf(tree);
+  const solved = id => isSolved(nodeTubes[id], maxBalls, tubeSpecs);
+  const width = MARGIN * 2 + Math.max(...positions.map(p => p.depth)) * STEP_X;
+  const height = MARGIN * 2 + (rows - 1) * STEP_Y;
+
+  const toggleCompared = (id) => {
+    setCompared(prev => (prev.includes(id) ? prev.filter(other => other !== id) : [...prev.slice(-1), id]));
+  };
+
+  const comparison = compared.length === 2 && compared.every(id => id < tree.nodes.length) && (() => {
+    const [a, b] = compared.map(id => positions[id].depth);
+    const split = positions[commonAncestor(tree, compared[0], compared[1])].depth;
+    return { a, b, split };
+  })();
+
+  return (
+    <div className="bg-gray-50 p-4 rounded-md space-y-3">
+      <h3 className="font-medium">Timeline</h3>
+      <div className="overflow-x-auto">
+        <svg width={width} height={height} role="group" aria-label="Undo tree">
+          {positions.slice(1).map(position => {
+            const from = point(positions[tree.nodes[position.id].parent]);
+            const to = point(position);
+            return (
+              <path
+                key={`edge-${position.id}`}
+                d={`M ${from.x} ${from.y} V ${to.y} H ${to.x}`}
+                fill="none"
+                className={currentLine.has(position.id) ? 'stroke-blue-500' : 'stroke-gray-300'}
+                strokeWidth={2}
+              />
+            );
+          })}
+          {positions.map(position => {
+            const { id, depth } = position;
+            const { x, y } = point(position);
+            const label = id === 0
+              ? 'Start position'
+              : `Move ${depth}: ${describeMove(tree.nodes[id].move, nodeTubes[tree.nodes[id].parent])}`;
+            return (
+              <g
+                key={id}
+                role="button"
+                tabIndex={0}
+                aria-label={label}
+                aria-current={id === tree.current ? 'step' : undefined}
+                className="cursor-pointer"
+                onClick={() => onJump(id)}
+                onKeyDown={(e) => {
+                  if (e.key === 'Enter' || e.key === ' ') {
+                    e.preventDefault();
+                    onJump(id);
+                  }
+                }}
+              >
+                <title>{label}</title>
+                <circle
+                  cx={x}
+                  cy={y}
+                  r={id === tree.current ? 8 : 6}
+                  className={
+                    solved(id) ? 'fill-green-500'
+                      : id === tree.current ? 'fill-blue-600'
+                        : currentLine.has(id) ? 'fill-blue-300' : 'fill-gray-400'
+                  }
+                />
+              </g>
+            );
+          })}
+        </svg>
+      </div>
+
+      <ul className="space-y-1 text-sm">
+        {leaves.map(id => (
+          <li key={id} className="flex items-center gap-2">
+            <input
+              type="checkbox"
+              checked={compared.includes(id)}
+              onChange={() => toggleCompared(id)}
+              aria-label={`Compare the branch ending at move ${positions[id].depth}`}
+            />
+            <span className="flex items-center gap-1">
+              Branch to move {positions[id].depth}
+              {solved(id) && <CheckCircle2 className="h-4 w-4 text-green-600" />}
+              {currentLine.has(id) && <span className="text-blue-600">(current line)</span>}
+            </span>
+            <Button variant="ghost" size="sm" onClick={() => onJump(id)}>Go</Button>
+          </li>
+        ))}
+      </ul>
+
+      {comparison ? (
+        <p className="text-sm">
+          The branches split after move {comparison.split}, then take {comparison.a - comparison.split} and
+          {' '}{comparison.b - comparison.split} more moves ({comparison.a} vs {comparison.b} in total
+          {comparison.a !== comparison.b && `, ${Math.abs(comparison.a - comparison.b)} fewer in the ${comparison.a < comparison.b ? 'first' : 'second'}`}).
+        </p>
+      ) : (
+        <p className="text-sm text-gray-500">Tick two branches to compare their move counts.</p>
+      )}
+    </div>
+  );
+};
+
+MoveTimeline.propTypes = {
+  tree: moveTreeShape.isRequired,
+  initialTubes: tubesShape.isRequired,
+  maxBalls: PropTypes.number.isRequired,
+  tubeSpecs: tubeSpecsShape,
+  onJump: PropTypes.func.isRequired
+};
+
+export default MoveTimeline;
@@ -0,0 +1,70 @@
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Check, Link2, Upload } from 'lucide-react';
+
+// Shows the current puzzle's code with a copyable share link, and loads a pasted
+// code or link. onLoad returns an error message, or null once the puzzle is loaded.
+const PuzzleCodePanel = ({ code, shareUrl, onLoad }) => {
+  const [draft, setDraft] = useState('');
+  const [error, setError] = useState(null);
+  const [copied, setCopied] = useState(false);
+
+  const share = async () => {
+    try {
+      await navigator.clipboard.writeText(shareUrl);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch {
+      setError('Could not copy to the clipboard; copy the code above instead');
+    }
+  };
+
+  const load = () => {
+    const loadError = onLoad(draft);
+    setError(loadError);
+    if (!loadError) setDraft('');
+  };
+
+  return (
+    <div className="bg-gray-50 p-4 rounded-md space-y-3">
+      <h3 className="font-medium">Share or Load a Puzzle</h3>
+      <div className="flex gap-2">
+        <Input readOnly value={code} onFocus={(e) => e.target.select()} aria-label="Puzzle code" className="font-mono" />
+        <Button variant="outline" size="sm" onClick={share}>
+          {copied ? <Check className="h-4 w-4" /> : <Link2 className="h-4 w-4" />}
+          {copied ? 'Copied' : 'Copy link'}
+        </Button>
+      </div>
+      <form
+        className="flex gap-2"
+        onSubmit={(e) => {
+          e.preventDefault();
+          load();
+        }}
+      >
+        <Input
+          value={draft}
+          onChange={(e) => setDraft(e.target.value)}
+          placeholder="Paste a puzzle code or link"
+          aria-label="Puzzle code to load"
+          className="font-mono"
+        />
+        <Button type="submit" variant="secondary" size="sm" disabled={!draft.trim()}>
+          <Upload className="h-4 w-4" />
+          Load
+        </Button>
+      </form>
+      {error && <p className="text-sm text-red-700">{error}</p>}
+    </div>
+  );
+};
+
+PuzzleCodePanel.propTypes = {
+  code: PropTypes.string.isRequired,
+  shareUrl: PropTypes.string.isRequired,
+  onLoad: PropTypes.func.isRequired
+};
+
+export default PuzzleCodePanel;
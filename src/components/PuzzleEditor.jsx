@@ -0,0 +1,319 @@
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { AlertCircle, CheckCircle2, Eraser, Play, Plus, Settings2, Sparkles, Trash2, X } from 'lucide-react';
+import { COLORS, getColor, validatePuzzle, hasTubeSpecs, tubeCapacity } from '@/lib/puzzle';
+import { BOARD_LIMITS } from '@/lib/generator';
+import { createBallSkin } from '@/lib/ballSkins';
+import { cn } from '@/lib/utils';
+import { tubesShape, tubeSpecsShape, skinSettingsShape } from '@/lib/propShapes';
+
+const MAX_TUBES = 20;
+const ERASER = 'eraser';
+
+// Builds a puzzle by hand, e.g. to copy a level from another game. Clicking an empty
+// slot drops the selected colour on top of the tube, clicking a ball repaints it (or
+// removes it with the eraser). Tube settings give single tubes their own capacity,
+// colour or lock. validatePuzzle runs on every edit. extraColors (the player's custom
+// palette) join the built-in colours, and balls are drawn with skinSettings.
+const PuzzleEditor = ({
+  initialTubes, initialMaxBalls, initialTubeSpecs, extraColors = [], skinSettings, onPlay, onSolve, onCancel
+}) => {
+  const [tubes, setTubes] = useState(() => initialTubes.map(tube => [...tube]));
+  const [maxBalls, setMaxBalls] = useState(initialMaxBalls);
+  const [tubeSpecs, setTubeSpecs] = useState(() => initialTubeSpecs || initialTubes.map(() => null));
+  const [showTubeSettings, setShowTubeSettings] = useState(hasTubeSpecs(initialTubeSpecs));
+  const [brush, setBrush] = useState(Object.keys(COLORS)[0]);
+
+  // Plain puzzles are handed on without a specs list
+  const puzzleSpecs = hasTubeSpecs(tubeSpecs) ? tubeSpecs : null;
+  const validation = validatePuzzle(tubes, maxBalls, puzzleSpecs);
+  const ballCount = tubes.reduce((sum, tube) => sum + tube.length, 0);
+  const ready = validation.valid && ballCount > 0;
+  // Custom colours the puzzle came with stay paintable after their balls are erased
+  const palette = [...new Set([...Object.keys(COLORS), ...extraColors, ...initialTubes.flat(), ...tubes.flat()])];
+  const skin = createBallSkin(palette, skinSettings);
+
+  const updateTube = (tubeIndex, update) => {
+    setTubes(prev => prev.map((tube, idx) => (idx === tubeIndex ? update(tube) : tube)));
+  };
+
+  const paintSlot = (tubeIndex) => {
+    if (brush === ERASER) return;
+    updateTube(tubeIndex, tube => [brush, ...tube]);
+  };
+
+  const paintBall = (tubeIndex, ballIndex) => {
+    updateTube(tubeIndex, tube => (brush === ERASER
+      ? tube.filter((_, idx) => idx !== ballIndex)
+      : tube.map((ball, idx) => (idx === ballIndex ? brush : ball))));
+  };
+
+  // Merges settings into a tube's spec; undefined removes a setting
+  const updateSpec = (tubeIndex, changes) => {
+    setTubeSpecs(prev => prev.map((spec, idx) => {
+      if (idx !== tubeIndex) return spec;
+      const next = Object.fromEntries(
+        Object.entries({ ...spec, ...changes }).filter(([, value]) => value !== undefined)
+      );
+      return Object.keys(next).length > 0 ? next : null;
+    }));
+  };
+
+  const addTube = () => {
+    setTubes(prev => [...prev, []]);
+    setTubeSpecs(prev => [...prev, null]);
+  };
+
+  // Locks waiting on the removed tube open up, and later tube numbers shift down
+  const removeTube = (tubeIndex) => {
+    setTubes(prev => prev.filter((_, idx) => idx !== tubeIndex));
+    setTubeSpecs(prev => prev
+      .filter((_, idx) => idx !== tubeIndex)
+      .map(spec => {
+        const unlockTube = spec?.unlock?.tube;
+        if (unlockTube === undefined || unlockTube < tubeIndex) return spec;
+        const { unlock, ...rest } = spec;
+        if (unlockTube === tubeIndex) return Object.keys(rest).length > 0 ? rest : null;
+        return { ...rest, unlock: { tube: unlock.tube - 1 } };
+      }));
+  };
+
+  const changeTubeCapacity = (tubeIndex, value) => {
+    const capacity = Math.round(Number(value));
+    updateSpec(tubeIndex, {
+      capacity: value !== '' && Number.isFinite(capacity) && capacity >= 1 && capacity !== maxBalls ? capacity : undefined
+    });
+  };
+
+  // Lock options are encoded as "t<tube index>" or "s<sorted tube count>"
+  const lockValue = (spec) => {
+    if (!spec?.unlock) return '';
+    return spec.unlock.tube !== undefined ? `t${spec.unlock.tube}` : `s${spec.unlock.sortedTubes}`;
+  };
+
+  const changeLock = (tubeIndex, value) => {
+    const number = Number(value.slice(1));
+    updateSpec(tubeIndex, {
+      unlock: value === '' ? undefined : value.startsWith('t') ? { tube: number } : { sortedTubes: number }
+    });
+  };
+
+  const changeCapacity = (value) => {
+    const { min, max } = BOARD_LIMITS.capacity;
+    const capacity = Math.round(Number(value));
+    if (Number.isFinite(capacity)) setMaxBalls(Math.min(max, Math.max(min, capacity)));
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <h3 className="font-medium">Puzzle Editor</h3>
+        <label className="flex items-center gap-2 text-sm">
+          Tube capacity
+          <Input
+            type="number"
+            className="w-20"
+            min={BOARD_LIMITS.capacity.min}
+            max={BOARD_LIMITS.capacity.max}
+            value={maxBalls}
+            onChange={(e) => changeCapacity(e.target.value)}
+          />
+        </label>
+      </div>
+
+      {/* Palette, with how many balls of each colour are placed so far */}
+      <div className="flex flex-wrap gap-2">
+        {palette.map(code => ({ code, ...getColor(code) })).map(({ code, name }) => (
+          <button
+            key={code}
+            type="button"
+            title={name}
+            aria-label={name}
+            aria-pressed={brush === code}
+            onClick={() => setBrush(code)}
+            className={cn(
+              'flex flex-col items-center rounded-md border p-1 text-xs',
+              brush === code ? 'border-blue-500 ring-2 ring-blue-300' : 'border-gray-200'
+            )}
+          >
+            <span
+              className="w-6 h-6 rounded-full border flex items-center justify-center text-sm leading-none"
+              style={skin(code).style}
+            >
+              {skin(code).symbol}
+            </span>
+            <span className="text-gray-500">{validation.ballCounts[code] || 0}/{maxBalls}</span>
+          </button>
+        ))}
+        <button
+          type="button"
+          aria-pressed={brush === ERASER}
+          onClick={() => setBrush(ERASER)}
+          className={cn(
+            'flex flex-col items-center justify-center rounded-md border px-2 text-xs',
+            brush === ERASER ? 'border-blue-500 ring-2 ring-blue-300' : 'border-gray-200'
+          )}
+        >
+          <Eraser className="h-5 w-5" />
+          Eraser
+        </button>
+      </div>
+
+      <div className="flex flex-wrap gap-4 justify-center">
+        {tubes.map((tube, tubeIndex) => (
+          <div key={tubeIndex} className="flex flex-col items-center">
+            <div
+              className={cn(
+                'flex flex-col space-y-1 border rounded p-2',
+                tube.length > tubeCapacity(maxBalls, tubeSpecs, tubeIndex) && 'border-red-500'
+              )}
+            >
+              {Array(Math.max(tubeCapacity(maxBalls, tubeSpecs, tubeIndex) - tube.length, 0))
+                .fill(null)
+                .map((_, i) => (
+                  <button
+                    key={`empty-${i}`}
+                    type="button"
+                    aria-label={`Add ball to tube ${tubeIndex + 1}`}
+                    className="w-8 h-8 border border-dashed rounded-full hover:bg-gray-100"
+                    onClick={() => paintSlot(tubeIndex)}
+                  />
+                ))}
+              {tube.map((ball, ballIndex) => (
+                <button
+                  key={ballIndex}
+                  type="button"
+                  aria-label={`${getColor(ball).name} ball in tube ${tubeIndex + 1}`}
+                  className="w-8 h-8 rounded-full flex items-center justify-center text-lg leading-none"
+                  style={skin(ball).style}
+                  onClick={() => paintBall(tubeIndex, ballIndex)}
+                >
+                  {skin(ball).symbol}
+                </button>
+              ))}
+            </div>
+            <button
+              type="button"
+              className="flex items-center text-sm text-gray-500 hover:text-red-600"
+              onClick={() => removeTube(tubeIndex)}
+              disabled={tubes.length <= 1}
+              aria-label={`Remove tube ${tubeIndex + 1}`}
+            >
+              Tube {tubeIndex + 1} <X className="ml-1 h-3 w-3" />
+            </button>
+            {showTubeSettings && (
+              <div className="flex flex-col items-center gap-1 text-xs">
+                <input
+                  type="number"
+                  min={1}
+                  className="w-14 rounded border px-1"
+                  placeholder={String(maxBalls)}
+                  value={tubeSpecs[tubeIndex]?.capacity ?? ''}
+                  onChange={(e) => changeTubeCapacity(tubeIndex, e.target.value)}
+                  aria-label={`Capacity of tube ${tubeIndex + 1}`}
+                />
+                <button
+                  type="button"
+                  className="flex items-center gap-1 rounded border px-1"
+                  onClick={() => updateSpec(tubeIndex, {
+                    onlyColor: tubeSpecs[tubeIndex]?.onlyColor || brush === ERASER ? undefined : brush
+                  })}
+                  title="Restrict the tube to the selected colour, or lift the restriction"
+                >
+                  {tubeSpecs[tubeIndex]?.onlyColor ? (
+                    <>
+                      <span className="w-3 h-3 rounded-full border" style={skin(tubeSpecs[tubeIndex].onlyColor).style} />
+                      Only
+                    </>
+                  ) : 'Any colour'}
+                </button>
+                <select
+                  className="w-24 rounded border"
+                  value={lockValue(tubeSpecs[tubeIndex])}
+                  onChange={(e) => changeLock(tubeIndex, e.target.value)}
+                  aria-label={`Lock for tube ${tubeIndex + 1}`}
+                >
+                  <option value="">Open</option>
+                  {tubes.map((_, other) => other !== tubeIndex && (
+                    <option key={other} value={`t${other}`}>Locked until tube {other + 1}</option>
+                  ))}
+                  {[1, 2, 3].filter(count => count < tubes.length).map(count => (
+                    <option key={`s${count}`} value={`s${count}`}>Locked until {count} sorted</option>
+                  ))}
+                </select>
+              </div>
+            )}
+          </div>
+        ))}
+      </div>
+
+      <div className="flex flex-wrap justify-center gap-2">
+        <Button variant="outline" size="sm" onClick={addTube} disabled={tubes.length >= MAX_TUBES}>
+          <Plus className="h-4 w-4" />
+          Add tube
+        </Button>
+        <Button variant="outline" size="sm" onClick={() => setTubes(prev => prev.map(() => []))} disabled={ballCount === 0}>
+          <Trash2 className="h-4 w-4" />
+          Clear balls
+        </Button>
+        <Button
+          variant={showTubeSettings ? 'secondary' : 'outline'}
+          size="sm"
+          onClick={() => setShowTubeSettings(!showTubeSettings)}
+          aria-pressed={showTubeSettings}
+        >
+          <Settings2 className="h-4 w-4" />
+          Tube settings
+        </Button>
+      </div>
+
+      {validation.valid ? (
+        <div className="flex items-center text-green-700 bg-green-50 p-3 rounded-md text-sm">
+          <CheckCircle2 className="h-4 w-4 mr-2" />
+          {ballCount === 0
+            ? 'Pick a colour and click the tubes to add balls'
+            : `Valid puzzle: ${Object.keys(validation.ballCounts).length} colours in ${tubes.length} tubes`}
+        </div>
+      ) : (
+        <div className="bg-red-50 p-3 rounded-md text-sm text-red-700">
+          <div className="flex items-center font-medium">
+            <AlertCircle className="h-4 w-4 mr-2" />
+            Not a valid puzzle yet
+          </div>
+          <ul className="mt-1 ml-6 list-disc">
+            {validation.errors.map((error, idx) => (
+              <li key={idx}>{error}</li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      <div className="flex justify-end gap-2">
+        <Button variant="ghost" size="sm" onClick={onCancel}>Cancel</Button>
+        <Button variant="outline" size="sm" onClick={() => onPlay(tubes, maxBalls, puzzleSpecs)} disabled={!ready}>
+          <Play className="h-4 w-4" />
+          Play this
+        </Button>
+        <Button variant="secondary" size="sm" onClick={() => onSolve(tubes, maxBalls, puzzleSpecs)} disabled={!ready}>
+          <Sparkles className="h-4 w-4" />
+          Solve this
+        </Button>
+      </div>
+    </div>
+  );
+};
+
+PuzzleEditor.propTypes = {
+  initialTubes: tubesShape.isRequired,
+  initialMaxBalls: PropTypes.number.isRequired,
+  initialTubeSpecs: tubeSpecsShape,
+  extraColors: PropTypes.arrayOf(PropTypes.string),
+  skinSettings: skinSettingsShape.isRequired,
+  onPlay: PropTypes.func.isRequired,
+  onSolve: PropTypes.func.isRequired,
+  onCancel: PropTypes.func.isRequired
+};
+
+export default PuzzleEditor;
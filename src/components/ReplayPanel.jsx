@@ -0,0 +1,209 @@
+import { useMemo, useRef, useState } from 'react';
+import PropTypes from 'prop-types';
+import { Button } from '@/components/ui/button';
+import { AlertCircle, Download, Play, Pause, StepBack, StepForward, SkipBack, SkipForward, Lock } from 'lucide-react';
+import Ball from '@/components/Ball';
+import MoveFlight from '@/components/MoveFlight';
+import { RULESETS, tubeCapacity, getLockedTubes } from '@/lib/puzzle';
+import { replayFrames, exportReplay, replayFileName, parseReplay } from '@/lib/replay';
+import { createBallSkin } from '@/lib/ballSkins';
+import { formatDuration } from '@/lib/stats';
+import { useReplayPlayback, REPLAY_SPEEDS } from '@/hooks/useReplayPlayback';
+import { useMoveAnimation } from '@/hooks/useMoveAnimation';
+import { replayShape, skinSettingsShape } from '@/lib/propShapes';
+
+const downloadReplay = (replay) => {
+  const url = URL.createObjectURL(new Blob([exportReplay(replay)], { type: 'application/json' }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = replayFileName(replay);
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+// Watches a recorded game (this one, or one imported from a file) on its own tube
+// grid, with the player's own timing sped up or slowed down
+const ReplayPanel = ({ currentReplay, skinSettings, moveSpeed, onPlayPuzzle }) => {
+  const [imported, setImported] = useState(null); // Replay read from a file, shown instead of this game
+  const [importError, setImportError] = useState(null);
+  const replay = imported ?? currentReplay;
+  const { puzzle: { tubes: startTubes, maxBalls, tubeSpecs } } = replay;
+
+  const frames = useMemo(() => replayFrames(replay).frames, [replay]);
+  const playback = useReplayPlayback(frames);
+  const { frame } = playback;
+  const animation = useMoveAnimation(frame.tubes, moveSpeed);
+  const tubeRefs = useRef([]);
+  const skin = useMemo(() => createBallSkin(startTubes.flat(), skinSettings), [startTubes, skinSettings]);
+  const lockedTubes = getLockedTubes(frame.tubes, maxBalls, tubeSpecs);
+  const lastMove = frame.event?.type === 'move' || frame.event?.type === 'redo' ? frame.event.move : null;
+
+  const importReplay = async (file) => {
+    const { replay: parsed, error } = parseReplay(await file.text());
+    setImportError(error);
+    if (!parsed) return;
+    setImported(parsed);
+    playback.rewind();
+  };
+
+  return (
+    <div className="bg-gray-50 p-4 rounded-md space-y-3">
+      <div className="flex items-center justify-between">
+        <h3 className="font-medium">{imported ? 'Imported Replay' : 'Replay of This Game'}</h3>
+        <span className="text-sm text-gray-600">
+          Event {playback.step} of {playback.totalSteps} · {formatDuration(frame.at)}
+        </span>
+      </div>
+
+      <div className="flex flex-wrap gap-3 justify-center items-end" role="group" aria-label="Replay tubes">
+        {animation.tubes.map((tube, tubeIndex) => (
+          <div
+            key={tubeIndex}
+            ref={el => tubeRefs.current[tubeIndex] = el}
+            className={`flex flex-col items-center ${lockedTubes[tubeIndex] ? 'opacity-60' : ''}`}
+          >
+            <div
+              className={`flex flex-col space-y-1 border rounded p-2 bg-white ${
+                lastMove?.from === tubeIndex ? 'border-amber-400 border-2' : ''
+              } ${
+                lastMove?.to === tubeIndex ? 'border-blue-500 border-2' : ''
+              }`}
+            >
+              {Array(Math.max(tubeCapacity(maxBalls, tubeSpecs, tubeIndex) - tube.length, 0))
+                .fill(null)
+                .map((_, i) => (
+                  <div key={`empty-${i}`} className="w-8 h-8 border rounded-full" />
+                ))}
+              {tube.map((ball, ballIndex) => (
+                <Ball key={ballIndex} code={ball} skin={skin} />
+              ))}
+            </div>
+            <span className="flex items-center gap-1 text-sm text-gray-500">
+              {lockedTubes[tubeIndex] && <Lock className="h-3 w-3" />}
+              Tube {tubeIndex + 1}
+            </span>
+          </div>
+        ))}
+      </div>
+
+      {animation.flight && (
+        <MoveFlight
+          flight={animation.flight}
+          tubeRefs={tubeRefs}
+          skin={skin}
+          duration={animation.duration}
+          onDone={animation.finishFlight}
+        />
+      )}
+
+      <div className="text-sm text-center" aria-live="polite">
+        <p className="font-medium">{frame.description}</p>
+        <p className="text-gray-600">
+          Moves: {frame.moveCount} · Undos: {frame.undos} · Hints: {frame.hints} · {RULESETS[frame.rules]?.label ?? frame.rules}
+        </p>
+      </div>
+
+      <div className="flex flex-wrap items-center justify-center gap-2">
+        <Button variant="outline" size="sm" onClick={() => playback.jumpTo(0)} disabled={playback.step === 0}>
+          <SkipBack className="h-4 w-4" />
+        </Button>
+        <Button variant="outline" size="sm" onClick={playback.stepBack} disabled={playback.step === 0}>
+          <StepBack className="h-4 w-4" />
+        </Button>
+        {playback.playing ? (
+          <Button variant="secondary" size="sm" onClick={playback.pause}>
+            <Pause className="h-4 w-4" />
+            Pause
+          </Button>
+        ) : (
+          <Button variant="secondary" size="sm" onClick={playback.play} disabled={playback.totalSteps === 0}>
+            <Play className="h-4 w-4" />
+            Play
+          </Button>
+        )}
+        <Button variant="outline" size="sm" onClick={playback.stepForward} disabled={playback.step === playback.totalSteps}>
+          <StepForward className="h-4 w-4" />
+        </Button>
+        <Button
+          variant="outline"
+          size="sm"
+          onClick={() => playback.jumpTo(playback.totalSteps)}
+          disabled={playback.step === playback.totalSteps}
+        >
+          <SkipForward className="h-4 w-4" />
+        </Button>
+      </div>
+
+      <input
+        type="range"
+        className="w-full"
+        min={0}
+        max={playback.totalSteps}
+        value={playback.step}
+        onChange={(e) => playback.jumpTo(Number(e.target.value))}
+        aria-label="Jump to event"
+      />
+
+      <div className="flex flex-wrap items-center justify-center gap-1" role="group" aria-label="Replay speed">
+        {REPLAY_SPEEDS.map(speed => (
+          <Button
+            key={speed}
+            variant={playback.speed === speed ? 'secondary' : 'outline'}
+            size="sm"
+            onClick={() => playback.setSpeed(speed)}
+            aria-pressed={playback.speed === speed}
+          >
+            {speed}×
+          </Button>
+        ))}
+      </div>
+
+      <div className="flex flex-wrap items-center justify-center gap-2 border-t pt-3">
+        <input
+          type="file"
+          accept="application/json,.json"
+          className="text-sm"
+          aria-label="Import a replay file"
+          onChange={(e) => e.target.files[0] && importReplay(e.target.files[0])}
+        />
+        <Button variant="outline" size="sm" onClick={() => downloadReplay(replay)}>
+          <Download className="h-4 w-4" />
+          Export JSON
+        </Button>
+        {imported && (
+          <>
+            <Button variant="outline" size="sm" onClick={() => onPlayPuzzle(replay.puzzle)}>
+              Play this puzzle
+            </Button>
+            <Button
+              variant="ghost"
+              size="sm"
+              onClick={() => {
+                setImported(null);
+                playback.rewind();
+              }}
+            >
+              Back to this game
+            </Button>
+          </>
+        )}
+      </div>
+
+      {importError && (
+        <div className="flex items-center text-sm text-red-600">
+          <AlertCircle className="h-4 w-4 mr-2" />
+          {importError}
+        </div>
+      )}
+    </div>
+  );
+};
+
+ReplayPanel.propTypes = {
+  currentReplay: replayShape.isRequired,
+  skinSettings: skinSettingsShape.isRequired,
+  moveSpeed: PropTypes.string.isRequired,
+  onPlayPuzzle: PropTypes.func.isRequired
+};
+
+export default ReplayPanel;
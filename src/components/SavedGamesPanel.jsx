@@ -0,0 +1,70 @@
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+import { Button } from '@/components/ui/button';
+import { CheckCircle2, Play, Trash2 } from 'lucide-react';
+import { loadStoredState, deleteGame, MAX_SAVED_GAMES } from '@/lib/storage';
+
+const describeGame = ({ session }) => {
+  const colors = new Set(session.initialTubes.flat()).size;
+  const level = session.puzzleRating?.difficulty ?? 'Custom';
+  return `${level} · ${colors} colours, ${session.initialTubes.length} tubes · ${session.moveCount} moves`;
+};
+
+// Games kept in localStorage, most recent first. Every new puzzle gets its own
+// slot, so switching here resumes a game exactly where it was left.
+const SavedGamesPanel = ({ activeGameId, onLoad }) => {
+  // Bumped after a delete so the list is read again
+  const [, setRevision] = useState(0);
+  const { games } = loadStoredState();
+
+  const remove = (id) => {
+    deleteGame(id);
+    setRevision(r => r + 1);
+  };
+
+  return (
+    <div className="bg-gray-50 p-4 rounded-md space-y-3">
+      <div className="flex items-center justify-between">
+        <h3 className="font-medium">Saved Games</h3>
+        <span className="text-sm text-gray-600">Up to {MAX_SAVED_GAMES} games are kept, finished ones go first</span>
+      </div>
+      {games.length === 0 ? (
+        <p className="text-sm text-gray-500">No saved games yet. Games are saved automatically as you play.</p>
+      ) : (
+        <ul className="space-y-2">
+          {games.map(game => (
+            <li key={game.id} className="flex items-center justify-between gap-2 bg-white p-2 rounded border text-sm">
+              <div>
+                <div className="flex items-center gap-1 font-medium">
+                  {game.session.isComplete && <CheckCircle2 className="h-4 w-4 text-green-600" />}
+                  {describeGame(game)}
+                </div>
+                <div className="text-gray-500">Saved {new Date(game.savedAt).toLocaleString()}</div>
+              </div>
+              {game.id === activeGameId ? (
+                <span className="text-gray-500">Playing</span>
+              ) : (
+                <div className="flex gap-1">
+                  <Button variant="outline" size="sm" onClick={() => onLoad(game)}>
+                    <Play className="h-4 w-4" />
+                    Resume
+                  </Button>
+                  <Button variant="ghost" size="sm" onClick={() => remove(game.id)} aria-label="Delete saved game">
+                    <Trash2 className="h-4 w-4" />
+                  </Button>
+                </div>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+SavedGamesPanel.propTypes = {
+  activeGameId: PropTypes.string,
+  onLoad: PropTypes.func.isRequired
+};
+
+export default SavedGamesPanel;
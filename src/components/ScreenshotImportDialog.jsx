@@ -0,0 +1,111 @@
+import { useState, useEffect } from 'react';
+import PropTypes from 'prop-types';
+import { Button } from '@/components/ui/button';
+import { Card, CardContent, CardFooter, CardHeader, CardTitle } from '@/components/ui/card';
+import { AlertCircle, Loader2 } from 'lucide-react';
+import { getColor } from '@/lib/puzzle';
+import { detectPuzzle, readImageData } from '@/lib/screenshotImport';
+
+// Reads a level from a screenshot (file or clipboard paste) and hands it to the
+// editor for checking. Everything happens locally on a canvas.
+const ScreenshotImportDialog = ({ onImport, onCancel }) => {
+  const [analysing, setAnalysing] = useState(false);
+  const [preview, setPreview] = useState(null);
+  const [result, setResult] = useState(null);
+
+  const analyse = async (blob) => {
+    setAnalysing(true);
+    setResult(null);
+    setPreview(prev => {
+      if (prev) URL.revokeObjectURL(prev);
+      return URL.createObjectURL(blob);
+    });
+    try {
+      setResult(detectPuzzle(await readImageData(blob)));
+    } catch (e) {
+      setResult({ error: `Could not read the image: ${e.message}` });
+    }
+    setAnalysing(false);
+  };
+
+  useEffect(() => {
+    const handlePaste = (e) => {
+      const item = [...e.clipboardData.items].find(i => i.type.startsWith('image/'));
+      if (item) analyse(item.getAsFile());
+    };
+    window.addEventListener('paste', handlePaste);
+    return () => window.removeEventListener('paste', handlePaste);
+  }, []);
+
+  useEffect(() => () => {
+    if (preview) URL.revokeObjectURL(preview);
+  }, [preview]);
+
+  const ballCount = result?.tubes ? result.tubes.reduce((sum, tube) => sum + tube.length, 0) : 0;
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/40">
+      <Card className="w-full max-w-md">
+        <CardHeader>
+          <CardTitle className="text-lg">Import from Screenshot</CardTitle>
+        </CardHeader>
+        <CardContent className="space-y-4">
+          <p className="text-sm text-gray-600">
+            Choose a screenshot of a ball sort level, or paste one with Ctrl+V. The image never leaves your device.
+          </p>
+          <input
+            type="file"
+            accept="image/*"
+            className="text-sm"
+            onChange={(e) => e.target.files[0] && analyse(e.target.files[0])}
+          />
+          {preview && <img src={preview} alt="Screenshot to import" className="max-h-64 mx-auto rounded border" />}
+          {analysing && (
+            <div className="flex items-center text-sm">
+              <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+              Looking for tubes and balls...
+            </div>
+          )}
+          {result?.error && (
+            <div className="flex items-center text-sm text-red-700 bg-red-50 p-3 rounded-md">
+              <AlertCircle className="h-4 w-4 mr-2" />
+              {result.error}
+            </div>
+          )}
+          {result?.tubes && (
+            <div className="text-sm space-y-2">
+              <p>
+                Found {ballCount} balls in {result.tubes.length} tubes ({result.emptyTubes} empty),
+                {' '}{result.maxBalls} per tube.
+              </p>
+              <div className="flex flex-wrap gap-2">
+                {result.colors.map(({ code, count, custom }) => (
+                  <span key={code} className="flex items-center gap-1" title={getColor(code).name}>
+                    <span className="w-4 h-4 rounded-full border" style={{ backgroundColor: getColor(code).hex }} />
+                    {count}{custom && '*'}
+                  </span>
+                ))}
+              </div>
+              {result.colors.some(color => color.custom) && (
+                <p className="text-gray-500">* no close built-in colour, kept as a custom colour</p>
+              )}
+            </div>
+          )}
+        </CardContent>
+        <CardFooter className="justify-end gap-2">
+          <Button variant="ghost" size="sm" onClick={onCancel}>Cancel</Button>
+          <Button size="sm" onClick={() => onImport(result.tubes, result.maxBalls)} disabled={!result?.tubes}>
+            Open in editor
+          </Button>
+        </CardFooter>
+      </Card>
+    </div>
+  );
+};
+
+ScreenshotImportDialog.propTypes = {
+  onImport: PropTypes.func.isRequired,
+  onCancel: PropTypes.func.isRequired
+};
+
+export default ScreenshotImportDialog;
@@ -0,0 +1,66 @@
+import PropTypes from 'prop-types';
+import { ALGORITHMS } from '@/lib/solver';
+import { formatBytes } from '@/lib/utils';
+
+const SearchStats = ({ stats }) => (
+  <div className="bg-blue-50 p-4 rounded-md space-y-2">
+    <h3 className="font-medium">Search Statistics:</h3>
+    <ul className="space-y-1">
+      {stats.algorithm && <li>Algorithm: {ALGORITHMS[stats.algorithm].label}</li>}
+      <li>Search duration: {stats.searchDuration.toFixed(2)} seconds</li>
+      <li>States explored: {stats.totalStatesExplored.toLocaleString()}</li>
+      <li>States per second: {stats.statesPerSecond.toLocaleString()}</li>
+      <li>{stats.algorithm === 'idastar' ? 'Maximum search depth' : 'Maximum queue size'}: {stats.maxQueueSize.toLocaleString()}</li>
+      {stats.iterations !== undefined && <li>Deepening iterations: {stats.iterations}</li>}
+      {stats.peakMemoryBytes > 0 && (
+        <li>
+          Peak memory (estimated): {formatBytes(stats.peakMemoryBytes)}
+          {stats.memoryLimit && ` of ${formatBytes(stats.memoryLimit)} allowed`}
+        </li>
+      )}
+      {stats.stateEncoding && (
+        <li>
+          Visited states: {stats.stateEncoding.visitedStates.toLocaleString()} ({stats.stateEncoding.scheme} keys,
+          estimated ~{formatBytes(stats.stateEncoding.estimatedKeyBytes)} vs ~{formatBytes(stats.stateEncoding.legacyEstimatedKeyBytes)} as strings)
+        </li>
+      )}
+      {stats.encodingComparison && (
+        <li>
+          Against tube-order keys: {stats.encodingComparison.orderedStoppedEarly ? 'at least ' : ''}
+          {Math.round(stats.encodingComparison.statesExploredReduction * 100)}% fewer states
+          ({stats.encodingComparison.orderedStatesExplored.toLocaleString()} explored), key memory
+          ~{Math.round(stats.encodingComparison.keyMemoryReduction * 100)}% smaller (estimated)
+          {stats.encodingComparison.orderedStoppedEarly && ` — tube-order search stopped: ${stats.encodingComparison.orderedStoppedEarly}`}
+        </li>
+      )}
+    </ul>
+  </div>
+);
+
+SearchStats.propTypes = {
+  stats: PropTypes.shape({
+    algorithm: PropTypes.string,
+    searchDuration: PropTypes.number.isRequired,
+    totalStatesExplored: PropTypes.number.isRequired,
+    statesPerSecond: PropTypes.number.isRequired,
+    maxQueueSize: PropTypes.number.isRequired,
+    iterations: PropTypes.number,
+    peakMemoryBytes: PropTypes.number,
+    memoryLimit: PropTypes.number,
+    stateEncoding: PropTypes.shape({
+      visitedStates: PropTypes.number.isRequired,
+      scheme: PropTypes.string.isRequired,
+      estimatedKeyBytes: PropTypes.number.isRequired,
+      legacyEstimatedKeyBytes: PropTypes.number.isRequired
+    }),
+    encodingComparison: PropTypes.shape({
+      orderedStatesExplored: PropTypes.number.isRequired,
+      statesExploredReduction: PropTypes.number.isRequired,
+      orderedKeyBytes: PropTypes.number.isRequired,
+      keyMemoryReduction: PropTypes.number.isRequired,
+      orderedStoppedEarly: PropTypes.string
+    })
+  }).isRequired
+};
+
+export default SearchStats;
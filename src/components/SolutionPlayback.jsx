@@ -0,0 +1,86 @@
+import PropTypes from 'prop-types';
+import { Button } from '@/components/ui/button';
+import { Play, Pause, StepBack, StepForward, SkipBack, SkipForward, Hand, X } from 'lucide-react';
+
+const SolutionPlayback = ({ playback, onTakeOver }) => {
+  const { active, playing, step, totalSteps } = playback;
+
+  return (
+    <div className="bg-gray-50 p-4 rounded-md space-y-3">
+      <div className="flex items-center justify-between">
+        <h3 className="font-medium">Solution Playback</h3>
+        <span className="text-sm text-gray-600">
+          {active ? `Move ${step} of ${totalSteps}` : `${totalSteps} moves`}
+        </span>
+      </div>
+
+      <div className="flex flex-wrap items-center justify-center gap-2">
+        <Button variant="outline" size="sm" onClick={() => playback.jumpTo(0)} disabled={active && step === 0}>
+          <SkipBack className="h-4 w-4" />
+        </Button>
+        <Button variant="outline" size="sm" onClick={playback.stepBack} disabled={!active || step === 0}>
+          <StepBack className="h-4 w-4" />
+        </Button>
+        {playing ? (
+          <Button variant="secondary" size="sm" onClick={playback.pause}>
+            <Pause className="h-4 w-4" />
+            Pause
+          </Button>
+        ) : (
+          <Button variant="secondary" size="sm" onClick={playback.play}>
+            <Play className="h-4 w-4" />
+            Play
+          </Button>
+        )}
+        <Button variant="outline" size="sm" onClick={playback.stepForward} disabled={active && step === totalSteps}>
+          <StepForward className="h-4 w-4" />
+        </Button>
+        <Button variant="outline" size="sm" onClick={() => playback.jumpTo(totalSteps)} disabled={active && step === totalSteps}>
+          <SkipForward className="h-4 w-4" />
+        </Button>
+      </div>
+
+      <input
+        type="range"
+        className="w-full"
+        min={0}
+        max={totalSteps}
+        value={active ? step : 0}
+        onChange={(e) => playback.jumpTo(Number(e.target.value))}
+        aria-label="Jump to move"
+      />
+
+      {active && (
+        <div className="flex justify-center gap-2">
+          <Button variant="outline" size="sm" onClick={onTakeOver}>
+            <Hand className="h-4 w-4" />
+            Take over from here
+          </Button>
+          <Button variant="ghost" size="sm" onClick={playback.stop}>
+            <X className="h-4 w-4" />
+            Exit playback
+          </Button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+SolutionPlayback.propTypes = {
+  // See useSolutionPlayback
+  playback: PropTypes.shape({
+    active: PropTypes.bool.isRequired,
+    playing: PropTypes.bool.isRequired,
+    step: PropTypes.number.isRequired,
+    totalSteps: PropTypes.number.isRequired,
+    play: PropTypes.func.isRequired,
+    pause: PropTypes.func.isRequired,
+    stop: PropTypes.func.isRequired,
+    jumpTo: PropTypes.func.isRequired,
+    stepForward: PropTypes.func.isRequired,
+    stepBack: PropTypes.func.isRequired
+  }).isRequired,
+  onTakeOver: PropTypes.func.isRequired
+};
+
+export default SolutionPlayback;
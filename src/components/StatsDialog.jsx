@@ -0,0 +1,156 @@
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+import { Button } from '@/components/ui/button';
+import { Card, CardContent, CardFooter, CardHeader, CardTitle } from '@/components/ui/card';
+import { Download } from 'lucide-react';
+import { loadStoredState } from '@/lib/storage';
+import { STATS_GROUPS, summarizeStats, efficiency, formatDuration, exportStats } from '@/lib/stats';
+
+const CHART_GAMES = 30;
+const CHART_HEIGHT = 120;
+const BAR_WIDTH = 12;
+
+const percent = value => (value === null ? '–' : `${Math.round(value * 100)}%`);
+
+// Moves taken in the most recent games, with the optimal count marked where known
+const HistoryChart = ({ games }) => {
+  const recent = games.slice(-CHART_GAMES);
+  const highest = Math.max(...recent.map(record => record.moves), 1);
+  const scale = moves => (moves / highest) * CHART_HEIGHT;
+
+  return (
+    <svg
+      width={recent.length * BAR_WIDTH}
+      height={CHART_HEIGHT}
+      className="mx-auto"
+      role="img"
+      aria-label={`Moves in the last ${recent.length} games`}
+    >
+      {recent.map((record, idx) => (
+        <g key={record.gameId ?? idx}>
+          <title>
+            {new Date(record.completedAt).toLocaleDateString()}: {record.moves} moves
+            {record.optimalMoves ? ` (optimal ${record.optimalMoves})` : ''}
+          </title>
+          <rect
+            x={idx * BAR_WIDTH + 1}
+            y={CHART_HEIGHT - scale(record.moves)}
+            width={BAR_WIDTH - 2}
+            height={scale(record.moves)}
+            className={efficiency(record) >= 1 ? 'fill-green-500' : 'fill-blue-400'}
+          />
+          {record.optimalMoves && (
+            <line
+              x1={idx * BAR_WIDTH}
+              x2={(idx + 1) * BAR_WIDTH}
+              y1={CHART_HEIGHT - scale(record.optimalMoves)}
+              y2={CHART_HEIGHT - scale(record.optimalMoves)}
+              className="stroke-gray-800"
+              strokeWidth={2}
+            />
+          )}
+        </g>
+      ))}
+    </svg>
+  );
+};
+
+const downloadStats = (history) => {
+  const url = URL.createObjectURL(new Blob([exportStats(history)], { type: 'application/json' }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = 'ball-sort-stats.json';
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+// Completed games per difficulty: wins, streaks, personal bests and recent history
+const StatsDialog = ({ initialGroup, onClose }) => {
+  const [{ history }] = useState(loadStoredState);
+  const stats = summarizeStats(history);
+  const [group, setGroup] = useState(STATS_GROUPS.includes(initialGroup) ? initialGroup : STATS_GROUPS[0]);
+  const summary = stats.groups[group];
+
+  const rows = [
+    ['Games won', summary.wins],
+    ['Day streak', `${summary.streaks.current} (best ${summary.streaks.best})`],
+    ['Fewest moves', summary.fewestMoves ?? '–'],
+    ['Fastest', summary.fastestMs === null ? '–' : formatDuration(summary.fastestMs)],
+    ['Best efficiency', percent(summary.bestEfficiency)],
+    ['Average efficiency', percent(summary.averageEfficiency)],
+    ['Optimal games', summary.perfectGames],
+    ['Without undo or hints', summary.noHelpGames]
+  ];
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/40">
+      <Card className="w-full max-w-lg">
+        <CardHeader>
+          <CardTitle className="text-lg">Statistics</CardTitle>
+          <p className="text-sm text-gray-600">
+            {stats.totalWins} games won · day streak {stats.streaks.current} (best {stats.streaks.best})
+          </p>
+        </CardHeader>
+        <CardContent className="space-y-4">
+          <div className="flex flex-wrap gap-1">
+            {STATS_GROUPS.map(name => (
+              <Button
+                key={name}
+                variant={group === name ? 'secondary' : 'outline'}
+                size="sm"
+                onClick={() => setGroup(name)}
+                aria-pressed={group === name}
+              >
+                {name} ({stats.groups[name].wins})
+              </Button>
+            ))}
+          </div>
+
+          <dl className="grid grid-cols-2 gap-x-4 gap-y-1 text-sm">
+            {rows.map(([label, value]) => (
+              <div key={label} className="flex justify-between border-b py-1">
+                <dt className="text-gray-600">{label}</dt>
+                <dd className="font-medium">{value}</dd>
+              </div>
+            ))}
+          </dl>
+
+          {summary.games.length > 0 ? (
+            <div className="space-y-1">
+              <HistoryChart games={summary.games} />
+              <p className="text-xs text-gray-500 text-center">
+                Moves per game, oldest first; the dark line marks the optimal solution
+              </p>
+            </div>
+          ) : (
+            <p className="text-sm text-gray-500">No {group} games completed yet.</p>
+          )}
+        </CardContent>
+        <CardFooter className="justify-end gap-2">
+          <Button variant="outline" size="sm" onClick={() => downloadStats(history)} disabled={history.length === 0}>
+            <Download className="h-4 w-4" />
+            Export JSON
+          </Button>
+          <Button size="sm" onClick={onClose}>Close</Button>
+        </CardFooter>
+      </Card>
+    </div>
+  );
+};
+
+HistoryChart.propTypes = {
+  // Completed-game records, see recordCompletedGame in storage.js
+  games: PropTypes.arrayOf(PropTypes.shape({
+    gameId: PropTypes.string,
+    completedAt: PropTypes.string.isRequired,
+    moves: PropTypes.number.isRequired,
+    optimalMoves: PropTypes.number
+  })).isRequired
+};
+
+StatsDialog.propTypes = {
+  initialGroup: PropTypes.string,
+  onClose: PropTypes.func.isRequired
+};
+
+export default StatsDialog;
@@ -0,0 +1,45 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { saveGame } from '@/lib/storage';
+
+// Every save rewrites the whole store, so wait for a pause in play
+const AUTOSAVE_DELAY = 1000;
+
+// Saves the game's session once it has stopped changing for a moment. A save that
+// is still waiting is written straight away when another game takes over, when the
+// page is hidden or closed, and by flush() (for anything about to read the saved
+// games). dropped lists the unfinished games a save had to remove to make room.
+export function useAutosave(gameId, session) {
+  const pendingRef = useRef(null);
+  const [dropped, setDropped] = useState([]);
+
+  const flush = useCallback(() => {
+    const pending = pendingRef.current;
+    if (!pending) return;
+    pendingRef.current = null;
+    const result = saveGame(pending.gameId, pending.session);
+    if (result.dropped.length > 0) setDropped(result.dropped);
+  }, []);
+
+  useEffect(() => {
+    if (!gameId) return undefined;
+    if (pendingRef.current && pendingRef.current.gameId !== gameId) flush();
+    pendingRef.current = { gameId, session };
+    const timer = setTimeout(flush, AUTOSAVE_DELAY);
+    return () => clearTimeout(timer);
+  }, [gameId, session, flush]);
+
+  useEffect(() => {
+    const flushWhenHidden = () => {
+      if (document.visibilityState === 'hidden') flush();
+    };
+    window.addEventListener('pagehide', flush);
+    document.addEventListener('visibilitychange', flushWhenHidden);
+    return () => {
+      window.removeEventListener('pagehide', flush);
+      document.removeEventListener('visibilitychange', flushWhenHidden);
+      flush();
+    };
+  }, [flush]);
+
+  return { dropped, clearDropped: () => setDropped([]), flush };
+}
@@ -0,0 +1,49 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { runSolverTask } from '@/lib/solverClient';
+
+// Looks up a hint for the current position in the solver worker. The hint keeps
+// the tubes it was computed for so callers can tell when it has gone stale.
+export function useHint() {
+  const [hint, setHint] = useState(null);
+  const [searching, setSearching] = useState(false);
+  const stopTaskRef = useRef(null);
+
+  const stopTask = useCallback(() => {
+    if (stopTaskRef.current) {
+      stopTaskRef.current();
+      stopTaskRef.current = null;
+    }
+  }, []);
+
+  const requestHint = useCallback((tubes, maxBalls, moveHistory, options = {}) => {
+    stopTask();
+    setHint(null);
+    setSearching(true);
+
+    stopTaskRef.current = runSolverTask(
+      { task: 'hint', tubes, maxBalls, moveHistory, options },
+      {
+        onResult: (result) => {
+          stopTaskRef.current = null;
+          setHint({ ...result, forTubes: tubes });
+          setSearching(false);
+        },
+        onError: (e) => {
+          stopTaskRef.current = null;
+          setHint({ status: 'gave-up', reason: `Solver crashed: ${e.message}`, forTubes: tubes });
+          setSearching(false);
+        }
+      }
+    );
+  }, [stopTask]);
+
+  const clearHint = useCallback(() => {
+    stopTask();
+    setHint(null);
+    setSearching(false);
+  }, [stopTask]);
+
+  useEffect(() => stopTask, [stopTask]);
+
+  return { hint, searching, requestHint, clearHint };
+}
@@ -0,0 +1,63 @@
+import { useState, useEffect, useCallback } from 'react';
+import { findMove } from '@/lib/puzzle';
+
+// Flight time of one move; 'off' shows every change at once
+export const MOVE_SPEEDS = {
+  off: { label: 'Off', duration: 0 },
+  fast: { label: 'Fast', duration: 200 },
+  normal: { label: 'Normal', duration: 400 },
+  slow: { label: 'Slow', duration: 700 }
+};
+
+// Later flights in a long queue go quicker, but never below this
+const MIN_DURATION = 80;
+
+const REDUCED_MOTION = '(prefers-reduced-motion: reduce)';
+
+function usePrefersReducedMotion() {
+  const [reduced, setReduced] = useState(() => window.matchMedia?.(REDUCED_MOTION).matches ?? false);
+  useEffect(() => {
+    const query = window.matchMedia?.(REDUCED_MOTION);
+    if (!query) return undefined;
+    const handleChange = () => setReduced(query.matches);
+    query.addEventListener('change', handleChange);
+    return () => query.removeEventListener('change', handleChange);
+  }, []);
+  return reduced;
+}
+
+// Shows changes of the board one move at a time. Whenever tubes changes by exactly
+// one move (a play, undo, redo or playback step) a flight { move, before, after } is
+// queued; any other change (a new puzzle, a reset) is shown at once and drops the
+// queue. tubes is what the board should show while flights are pending: the
+// position before the current flight, with the flying balls lifted out of it.
+// Call finishFlight when the current flight has landed.
+export function useMoveAnimation(boardTubes, speed) {
+  const reducedMotion = usePrefersReducedMotion();
+  const duration = reducedMotion ? 0 : MOVE_SPEEDS[speed]?.duration ?? MOVE_SPEEDS.normal.duration;
+  const [seenTubes, setSeenTubes] = useState(boardTubes);
+  const [queue, setQueue] = useState([]);
+
+  // Adjusting state while rendering, so the new position never flashes up first
+  if (seenTubes !== boardTubes) {
+    setSeenTubes(boardTubes);
+    const move = duration > 0 ? findMove(seenTubes, boardTubes) : null;
+    setQueue(move ? [...queue, { move, before: seenTubes, after: boardTubes }] : []);
+  }
+
+  const flight = queue[0] || null;
+  const finishFlight = useCallback(() => setQueue(prev => prev.slice(1)), []);
+
+  const tubes = flight
+    ? flight.before.map((tube, idx) => (idx === flight.move.from ? tube.slice(flight.move.count) : tube))
+    : boardTubes;
+
+  return {
+    tubes,
+    flight,
+    // Player input waits until the board shows the real position again
+    animating: queue.length > 0,
+    duration: Math.max(MIN_DURATION, duration / Math.max(queue.length, 1)),
+    finishFlight
+  };
+}
@@ -0,0 +1,41 @@
+import { useState, useEffect } from 'react';
+import { runSolverTask } from '@/lib/solverClient';
+
+// Wait for the player to pause before searching, and keep each search short
+const ANALYSIS_DELAY = 400;
+const ANALYSIS_TIME_LIMIT = 3000;
+const ANALYSIS_MEMORY_LIMIT = 256 * 1024 * 1024;
+
+// Checks in the background whether the position can still be solved, using the
+// hint search (see findHint) with a small budget. The result keeps the tubes it
+// was found for, like a hint; searches that run out of budget report 'gave-up'.
+export function usePositionAnalysis(tubes, maxBalls, moveHistory, { rules, tubeSpecs, enabled }) {
+  const [analysis, setAnalysis] = useState(null);
+
+  useEffect(() => {
+    if (!enabled) return undefined;
+    let stopTask = null;
+    const timer = setTimeout(() => {
+      stopTask = runSolverTask(
+        {
+          task: 'hint',
+          tubes,
+          maxBalls,
+          moveHistory,
+          options: { rules, tubeSpecs, timeLimit: ANALYSIS_TIME_LIMIT, memoryLimit: ANALYSIS_MEMORY_LIMIT }
+        },
+        {
+          onResult: (result) => setAnalysis({ ...result, forTubes: tubes }),
+          onError: () => setAnalysis(null)
+        }
+      );
+    }, ANALYSIS_DELAY);
+
+    return () => {
+      clearTimeout(timer);
+      if (stopTask) stopTask();
+    };
+  }, [tubes, maxBalls, moveHistory, rules, tubeSpecs, enabled]);
+
+  return analysis && analysis.forTubes === tubes ? analysis : null;
+}
@@ -0,0 +1,42 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { runSolverTask } from '@/lib/solverClient';
+
+// Generates and rates puzzles in the solver worker, since verifying a candidate
+// means solving it. options are passed to generatePuzzle (e.g. { seed });
+// onGenerated receives { tubes, maxBalls, rating } or null.
+export function usePuzzleGenerator() {
+  const [generating, setGenerating] = useState(false);
+  const stopTaskRef = useRef(null);
+
+  const stopTask = useCallback(() => {
+    if (stopTaskRef.current) {
+      stopTaskRef.current();
+      stopTaskRef.current = null;
+    }
+  }, []);
+
+  const generate = useCallback((difficulty, config, options, onGenerated) => {
+    stopTask();
+    setGenerating(true);
+
+    stopTaskRef.current = runSolverTask(
+      { task: 'generate', difficulty, config, options },
+      {
+        onResult: (puzzle) => {
+          stopTaskRef.current = null;
+          setGenerating(false);
+          onGenerated(puzzle);
+        },
+        onError: () => {
+          stopTaskRef.current = null;
+          setGenerating(false);
+          onGenerated(null);
+        }
+      }
+    );
+  }, [stopTask]);
+
+  useEffect(() => stopTask, [stopTask]);
+
+  return { generating, generate };
+}
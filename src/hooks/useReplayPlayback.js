@@ -0,0 +1,63 @@
+import { useState, useEffect, useCallback } from 'react';
+
+// Playback speeds, as multiples of the time the player took
+export const REPLAY_SPEEDS = [0.5, 1, 2, 4, 8];
+
+// Pauses between events are replayed as they happened, but kept within these
+// bounds (at 1×) so fast clicking stays visible and long breaks are skipped
+const MIN_GAP = 250;
+const MAX_GAP = 3000;
+
+// Steps through the frames of a replay (see replayFrames in replay.js), waiting
+// between events as long as the player did, scaled by speed. step indexes frames;
+// frames may grow while a game is still being recorded.
+export function useReplayPlayback(frames) {
+  const [playing, setPlaying] = useState(false);
+  const [step, setStep] = useState(0);
+  const [speed, setSpeed] = useState(1);
+
+  const totalSteps = frames.length - 1;
+
+  useEffect(() => {
+    if (!playing) return undefined;
+    if (step >= totalSteps) {
+      setPlaying(false);
+      return undefined;
+    }
+    const gap = Math.min(Math.max(frames[step + 1].at - frames[step].at, MIN_GAP), MAX_GAP);
+    const timer = setTimeout(() => setStep(s => s + 1), gap / speed);
+    return () => clearTimeout(timer);
+  }, [playing, step, totalSteps, frames, speed]);
+
+  const jumpTo = useCallback((target) => {
+    setStep(Math.max(0, Math.min(target, totalSteps)));
+  }, [totalSteps]);
+
+  const play = useCallback(() => {
+    // Restart from the beginning when play is pressed at the end
+    setStep(s => (s >= totalSteps ? 0 : s));
+    setPlaying(true);
+  }, [totalSteps]);
+
+  const pause = useCallback(() => setPlaying(false), []);
+
+  const rewind = useCallback(() => {
+    setPlaying(false);
+    setStep(0);
+  }, []);
+
+  return {
+    playing,
+    step,
+    totalSteps,
+    speed,
+    setSpeed,
+    frame: frames[Math.min(step, totalSteps)],
+    play,
+    pause,
+    rewind,
+    jumpTo,
+    stepForward: () => jumpTo(step + 1),
+    stepBack: () => jumpTo(step - 1)
+  };
+}
@@ -0,0 +1,75 @@
+import { useState, useEffect, useMemo, useCallback } from 'react';
+import { applyMove } from '@/lib/puzzle';
+
+const PLAYBACK_INTERVAL = 700;
+
+// Steps through a solver result on the board. step is the number of solution
+// moves applied to solution.startTubes; tubes is the position after them.
+export function useSolutionPlayback(solution) {
+  const [active, setActive] = useState(false);
+  const [playing, setPlaying] = useState(false);
+  const [step, setStep] = useState(0);
+
+  const states = useMemo(() => {
+    if (!solution || !solution.solvable) return [];
+    const result = [solution.startTubes];
+    solution.moves.forEach(move => result.push(applyMove(result[result.length - 1], move)));
+    return result;
+  }, [solution]);
+
+  const totalSteps = Math.max(states.length - 1, 0);
+
+  // A new (or cleared) solution ends any playback of the previous one
+  useEffect(() => {
+    setActive(false);
+    setPlaying(false);
+    setStep(0);
+  }, [solution]);
+
+  useEffect(() => {
+    if (!playing) return undefined;
+    if (step >= totalSteps) {
+      setPlaying(false);
+      return undefined;
+    }
+    const timer = setTimeout(() => setStep(s => s + 1), PLAYBACK_INTERVAL);
+    return () => clearTimeout(timer);
+  }, [playing, step, totalSteps]);
+
+  const jumpTo = useCallback((target) => {
+    setActive(true);
+    setStep(Math.max(0, Math.min(target, totalSteps)));
+  }, [totalSteps]);
+
+  const play = useCallback(() => {
+    setActive(true);
+    // Restart from the beginning when play is pressed at the end
+    setStep(s => (s >= totalSteps ? 0 : s));
+    setPlaying(true);
+  }, [totalSteps]);
+
+  const pause = useCallback(() => setPlaying(false), []);
+
+  const stop = useCallback(() => {
+    setActive(false);
+    setPlaying(false);
+    setStep(0);
+  }, []);
+
+  return {
+    available: states.length > 0,
+    active,
+    playing,
+    step,
+    totalSteps,
+    tubes: active ? states[step] : null,
+    // Most recently applied move, for highlighting on the board
+    lastMove: active && step > 0 ? solution.moves[step - 1] : null,
+    play,
+    pause,
+    stop,
+    jumpTo,
+    stepForward: () => jumpTo(step + 1),
+    stepBack: () => jumpTo(step - 1)
+  };
+}
@@ -0,0 +1,91 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { runSolverTask } from '@/lib/solverClient';
+
+// Runs full solves in a worker: one worker per search, terminated on completion or cancel.
+// initialSolution is a previously saved result to start with.
+export function useSolver(initialSolution = null) {
+  const [solving, setSolving] = useState(false);
+  const [progress, setProgress] = useState(null);
+  const [solution, setSolution] = useState(initialSolution);
+  const stopTaskRef = useRef(null);
+  const progressRef = useRef(null);
+  const algorithmRef = useRef(null);
+
+  const stopWorker = useCallback(() => {
+    if (stopTaskRef.current) {
+      stopTaskRef.current();
+      stopTaskRef.current = null;
+    }
+  }, []);
+
+  // options are passed to solvePuzzle: algorithm, memoryLimit, timeLimit, ...
+  const solve = useCallback((tubes, maxBalls, options = {}) => {
+    const algorithm = options.algorithm || 'bfs';
+    stopWorker();
+    setSolution(null);
+    setProgress(null);
+    progressRef.current = null;
+    algorithmRef.current = algorithm;
+    setSolving(true);
+
+    const startTubes = tubes.map(t => [...t]);
+    stopTaskRef.current = runSolverTask(
+      { task: 'solve', tubes: startTubes, maxBalls, options: { ...options, algorithm } },
+      {
+        onProgress: (stats) => {
+          progressRef.current = stats;
+          setProgress(stats);
+        },
+        onResult: (result) => {
+          stopTaskRef.current = null;
+          // Keep the position the moves start from so they can be replayed and described
+          setSolution({ ...result, startTubes });
+          setProgress(null);
+          setSolving(false);
+        },
+        onError: (e) => {
+          stopTaskRef.current = null;
+          setSolution({ algorithm, solvable: false, moves: [], error: `Solver crashed: ${e.message}`, searchStats: null });
+          setProgress(null);
+          setSolving(false);
+        }
+      }
+    );
+  }, [stopWorker]);
+
+  const cancel = useCallback(() => {
+    if (!stopTaskRef.current) return;
+    stopWorker();
+
+    const lastStats = progressRef.current;
+    setSolution({
+      algorithm: algorithmRef.current,
+      solvable: false,
+      moves: [],
+      error: 'Search cancelled',
+      searchStats: lastStats && { ...lastStats, reason: 'Cancelled' }
+    });
+    setProgress(null);
+    setSolving(false);
+  }, [stopWorker]);
+
+  // Drops any running search and its result, e.g. when the board is replaced
+  const reset = useCallback(() => {
+    stopWorker();
+    setSolution(null);
+    setProgress(null);
+    setSolving(false);
+  }, [stopWorker]);
+
+  // Shows a saved result (or none) in place of the current one, e.g. when resuming a game
+  const restore = useCallback((savedSolution) => {
+    stopWorker();
+    setSolution(savedSolution);
+    setProgress(null);
+    setSolving(false);
+  }, [stopWorker]);
+
+  useEffect(() => stopWorker, [stopWorker]);
+
+  return { solving, progress, solution, solve, cancel, reset, restore };
+}
@@ -0,0 +1,102 @@
+import { useState, useRef, useCallback } from 'react';
+
+// Pixels the pointer has to travel before a press becomes a drag rather than a tap
+const DRAG_THRESHOLD = 8;
+const SHAKE_DURATION = 500;
+
+const tubeAt = (x, y) => {
+  const element = document.elementFromPoint(x, y)?.closest('[data-tube-index]');
+  return element ? Number(element.dataset.tubeIndex) : null;
+};
+
+// Moving balls with pointer events, so mouse, pen and touch all work the same way:
+//   tap a tube to lift it, then tap the tube to move to (tap it again to put it down)
+//   or press a tube and drag to the target, with the ball following the pointer
+// canPickUp(tubeIndex) says whether a tube can be the source of a move, tryMove(from, to)
+// makes the move and returns false if it is not allowed; refused moves shake the tube
+// that was aimed at. onPickUp(tubeIndex) is told when a tube is lifted. A selection
+// only applies to the tubes it was made on. tap is also what the keyboard uses.
+export function useTubeInteraction(tubes, { canPickUp, tryMove, onPickUp }) {
+  const [selection, setSelection] = useState(null); // { tube, forTubes }
+  const [drag, setDrag] = useState(null); // { source, x, y, over } while dragging
+  const [shakingTube, setShakingTube] = useState(null);
+  const pressRef = useRef(null); // { tube, pointerId, startX, startY, dragging }
+  const shakeTimerRef = useRef(null);
+
+  const selected = selection && selection.forTubes === tubes ? selection.tube : null;
+
+  const shake = useCallback((tubeIndex) => {
+    clearTimeout(shakeTimerRef.current);
+    setShakingTube(tubeIndex);
+    shakeTimerRef.current = setTimeout(() => setShakingTube(null), SHAKE_DURATION);
+  }, []);
+
+  const attemptMove = (from, to) => {
+    setSelection(null);
+    if (!tryMove(from, to)) shake(to);
+  };
+
+  const tap = (tubeIndex) => {
+    if (selected === null) {
+      if (canPickUp(tubeIndex)) {
+        setSelection({ tube: tubeIndex, forTubes: tubes });
+        onPickUp?.(tubeIndex);
+      } else {
+        shake(tubeIndex);
+      }
+    } else if (selected === tubeIndex) {
+      setSelection(null);
+    } else {
+      attemptMove(selected, tubeIndex);
+    }
+  };
+
+  const onPointerDown = (e, tubeIndex) => {
+    if (e.pointerType === 'mouse' && e.button !== 0) return;
+    e.currentTarget.setPointerCapture(e.pointerId);
+    pressRef.current = { tube: tubeIndex, pointerId: e.pointerId, startX: e.clientX, startY: e.clientY, dragging: false };
+  };
+
+  const onPointerMove = (e) => {
+    const press = pressRef.current;
+    if (!press || press.pointerId !== e.pointerId) return;
+    if (!press.dragging) {
+      const distance = Math.hypot(e.clientX - press.startX, e.clientY - press.startY);
+      if (distance < DRAG_THRESHOLD || !canPickUp(press.tube)) return;
+      press.dragging = true;
+      setSelection(null);
+    }
+    setDrag({ source: press.tube, x: e.clientX, y: e.clientY, over: tubeAt(e.clientX, e.clientY) });
+  };
+
+  const onPointerUp = (e) => {
+    const press = pressRef.current;
+    if (!press || press.pointerId !== e.pointerId) return;
+    pressRef.current = null;
+
+    if (!press.dragging) {
+      tap(press.tube);
+      return;
+    }
+    setDrag(null);
+    const target = tubeAt(e.clientX, e.clientY);
+    if (target !== null && target !== press.tube) attemptMove(press.tube, target);
+  };
+
+  const onPointerCancel = () => {
+    pressRef.current = null;
+    setDrag(null);
+  };
+
+  // Spread onto each tube's element, which must carry data-tube-index itself
+  const tubeProps = (tubeIndex) => ({
+    onPointerDown: (e) => onPointerDown(e, tubeIndex),
+    onPointerMove,
+    onPointerUp,
+    onPointerCancel
+  });
+
+  const clearSelection = useCallback(() => setSelection(null), []);
+
+  return { selected, drag, shakingTube, shake, tap, clearSelection, tubeProps };
+}
@@ -0,0 +1,126 @@
+import { COLORS, getColor } from './puzzle.js';
+import { EMOJI_SETS } from './emojiSets.js';
+
+// How balls are drawn, on top of (or instead of) their colour alone. Symbols and
+// patterns are fixed per built-in colour, so they can be learnt; the light and dark
+// variant of a hue get an open and a filled version of the same shape.
+export const BALL_STYLES = {
+  colors: { label: 'Colours only' },
+  symbols: { label: 'Symbols' },
+  patterns: { label: 'Patterns' },
+  emoji: { label: 'Emoji' }
+};
+
+export const DEFAULT_BALL_SKIN = { style: 'colors', highContrast: false, emojiSet: 'fruits' };
+
+// Palette colours a player can add; every extra colour bit widens the solvers'
+// state keys (see stateEncoding.js)
+export const MAX_CUSTOM_COLORS = 16;
+
+// Built-in colours pushed apart in lightness and hue for low vision and colour blindness
+const HIGH_CONTRAST_HEX = {
+  LB: '#9AD9FF',
+  DB: '#002F8F',
+  LG: '#C8F07A',
+  DG: '#0B4F1C',
+  PK: '#FFC2E0',
+  RD: '#D00000',
+  OR: '#FF8C00',
+  PU: '#5B2A86',
+  GY: '#9E9E9E',
+  YE: '#FFE600',
+  BR: '#5A3212',
+  CY: '#00E5FF',
+  MG: '#E0007A',
+  BK: '#000000',
+  WH: '#FFFFFF',
+  TL: '#00695C'
+};
+
+// One per built-in colour in COLORS order, then extras for custom colours
+const SYMBOLS = [
+  '○', '●', '△', '▲', '♡', '♥', '◆', '★', '■', '☀', '♣', '◇', '✚', '✖', '□', '♠',
+  '☾', '✿', '♪', '☘', '⬟', '⬢', '✦', '❖'
+];
+
+// Overlays drawn in ink, a translucent black or white that shows on the ball's colour
+const PATTERNS = [
+  ink => ({ backgroundImage: `repeating-linear-gradient(45deg, ${ink} 0 3px, transparent 3px 7px)` }),
+  ink => ({ backgroundImage: `repeating-linear-gradient(-45deg, ${ink} 0 3px, transparent 3px 7px)` }),
+  ink => ({ backgroundImage: `repeating-linear-gradient(0deg, ${ink} 0 3px, transparent 3px 7px)` }),
+  ink => ({ backgroundImage: `repeating-linear-gradient(90deg, ${ink} 0 3px, transparent 3px 7px)` }),
+  ink => ({ backgroundImage: `radial-gradient(${ink} 2px, transparent 2.5px)`, backgroundSize: '8px 8px' }),
+  ink => ({
+    backgroundImage: `conic-gradient(${ink} 25%, transparent 0 50%, ${ink} 0 75%, transparent 0)`,
+    backgroundSize: '10px 10px'
+  }),
+  ink => ({ backgroundImage: `repeating-radial-gradient(circle, ${ink} 0 2px, transparent 2px 6px)` }),
+  ink => ({ backgroundImage: `radial-gradient(circle, ${ink} 30%, transparent 32%)` }),
+  ink => ({ backgroundImage: `linear-gradient(${ink} 50%, transparent 50%)` }),
+  ink => ({ backgroundImage: `linear-gradient(90deg, ${ink} 50%, transparent 50%)` }),
+  ink => ({
+    backgroundImage: `repeating-linear-gradient(45deg, ${ink} 0 2px, transparent 2px 6px), `
+      + `repeating-linear-gradient(-45deg, ${ink} 0 2px, transparent 2px 6px)`
+  }),
+  ink => ({ backgroundImage: `linear-gradient(45deg, ${ink} 50%, transparent 50%)` }),
+  ink => ({ backgroundImage: `radial-gradient(circle at 50% 100%, ${ink} 45%, transparent 47%)` }),
+  ink => ({
+    backgroundImage: `linear-gradient(${ink} 0 0), linear-gradient(${ink} 0 0)`,
+    backgroundSize: '100% 4px, 4px 100%',
+    backgroundPosition: 'center',
+    backgroundRepeat: 'no-repeat'
+  }),
+  ink => ({ backgroundImage: `repeating-conic-gradient(${ink} 0 30deg, transparent 30deg 60deg)` }),
+  () => ({})
+];
+
+const BUILT_IN_CODES = Object.keys(COLORS);
+
+function isDark(hex) {
+  const [r, g, b] = [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16) / 255);
+  return 0.2126 * r + 0.7152 * g + 0.0722 * b < 0.5;
+}
+
+export function ballHex(code, highContrast = false) {
+  return (highContrast && HIGH_CONTRAST_HEX[code]) || getColor(code).hex;
+}
+
+// Text for the colour with look index, numbering on past the end of SYMBOLS
+const symbolFor = index => SYMBOLS[index] ?? String(index + 1);
+
+// Returns a function giving { style, symbol } for a colour code: the CSS for the
+// ball and the text drawn on it (or null). colorCodes are the puzzle's colours;
+// custom colours and emoji are numbered within them. A colour past the end of the
+// patterns or the emoji set gets its symbol instead, so no two colours in one
+// puzzle ever share a look.
+export function createBallSkin(colorCodes, { style, highContrast, emojiSet } = DEFAULT_BALL_SKIN) {
+  const customCodes = [...new Set(colorCodes)].filter(code => !Object.hasOwn(COLORS, code)).sort();
+  const lookIndex = code => (Object.hasOwn(COLORS, code)
+    ? BUILT_IN_CODES.indexOf(code)
+    : BUILT_IN_CODES.length + customCodes.indexOf(code));
+  const puzzleCodes = [...new Set(colorCodes)].sort((a, b) => lookIndex(a) - lookIndex(b));
+  const emojis = EMOJI_SETS[emojiSet] || EMOJI_SETS[DEFAULT_BALL_SKIN.emojiSet];
+
+  return (code) => {
+    const hex = ballHex(code, highContrast);
+    const dark = isDark(hex);
+    const css = {
+      backgroundColor: hex,
+      color: dark ? '#FFFFFF' : '#000000',
+      ...(highContrast && { boxShadow: `inset 0 0 0 2px ${dark ? '#FFFFFF' : '#000000'}` })
+    };
+    const index = lookIndex(code);
+
+    if (style === 'symbols') return { style: css, symbol: symbolFor(index) };
+    if (style === 'patterns') {
+      if (index >= PATTERNS.length) return { style: css, symbol: symbolFor(index) };
+      const ink = dark ? 'rgba(255, 255, 255, 0.55)' : 'rgba(0, 0, 0, 0.4)';
+      return { style: { ...css, ...PATTERNS[index](ink) }, symbol: null };
+    }
+    if (style === 'emoji') {
+      const position = Math.max(puzzleCodes.indexOf(code), 0);
+      return { style: css, symbol: emojis[position] ?? symbolFor(index) };
+    }
+    return { style: css, symbol: null };
+  };
+}
@@ -0,0 +1,30 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createBallSkin, BALL_STYLES, MAX_CUSTOM_COLORS } from './ballSkins.js';
+import { EMOJI_SETS } from './emojiSets.js';
+import { COLORS } from './puzzle.js';
+
+// Every built-in colour plus a full custom palette
+const CODES = [
+  ...Object.keys(COLORS),
+  ...Array.from({ length: MAX_CUSTOM_COLORS }, (_, idx) => `X${(idx * 0x0F0F0F).toString(16).padStart(6, '0').toUpperCase()}`)
+];
+
+test('every emoji set covers the built-in colours', () => {
+  Object.entries(EMOJI_SETS).forEach(([name, emojis]) => {
+    assert.ok(emojis.length >= Object.keys(COLORS).length, name);
+  });
+});
+
+test('no two colours in a puzzle share a look', () => {
+  Object.keys(BALL_STYLES).filter(style => style !== 'colors').forEach(style => {
+    Object.keys(EMOJI_SETS).forEach(emojiSet => {
+      const skin = createBallSkin(CODES, { style, highContrast: false, emojiSet });
+      const looks = CODES.map(code => {
+        const { style: css, symbol } = skin(code);
+        return JSON.stringify([css.backgroundImage, symbol]);
+      });
+      assert.equal(new Set(looks).size, CODES.length, `${style} ${emojiSet}`);
+    });
+  });
+});
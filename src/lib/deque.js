@@ -0,0 +1,41 @@
+// Growable ring buffer with O(1) push and shift, replacing Array.prototype.shift
+// (which is O(n)) for the BFS frontier
+export class Deque {
+  constructor(initialCapacity = 1024) {
+    let capacity = 1;
+    while (capacity < initialCapacity) capacity *= 2;
+    this.buffer = new Array(capacity);
+    this.head = 0;
+    this.length = 0;
+  }
+
+  get size() {
+    return this.length;
+  }
+
+  push(item) {
+    if (this.length === this.buffer.length) this.grow();
+    this.buffer[(this.head + this.length) & (this.buffer.length - 1)] = item;
+    this.length++;
+  }
+
+  shift() {
+    if (this.length === 0) return undefined;
+    const item = this.buffer[this.head];
+    // Release the slot so shifted items can be collected
+    this.buffer[this.head] = undefined;
+    this.head = (this.head + 1) & (this.buffer.length - 1);
+    this.length--;
+    return item;
+  }
+
+  grow() {
+    const old = this.buffer;
+    const next = new Array(old.length * 2);
+    for (let i = 0; i < this.length; i++) {
+      next[i] = old[(this.head + i) & (old.length - 1)];
+    }
+    this.buffer = next;
+    this.head = 0;
+  }
+}
@@ -0,0 +1,16 @@
+// Emoji themes, shared by the emoji sudoku and the emoji ball skin. Each has at
+// least one emoji per built-in ball colour.
+export const EMOJI_SETS = {
+  fruits: ['🍎', '🍌', '🍇', '🍊', '🍓', '🍉', '🍍', '🥝', '🍐', '🍑', '🍒', '🥭', '🫐', '🍋', '🍈', '🍏'],
+  vehicles: ['🚗', '🚌', '🚲', '🏍️', '🚁', '🚂', '🚢', '🛩️', '🚜', '🚓', '🚑', '🚒', '🛵', '🚠', '🛶', '🛸'],
+  animals: ['🐶', '🐱', '🐵', '🦁', '🐘', '🦒', '🐧', '🦋', '🐸', '🦜', '🐬', '🦘', '🦥', '🦊', '🐼', '🦖'],
+  weather: ['☀️', '☁️', '🌧️', '❄️', '🌈', '⚡', '🌪️', '🌊', '🌁', '🌀', '🌤️', '🌥️', '🌦️', '🌨️', '🌩️', '🌫️'],
+  sports: ['⚽', '🏀', '🎾', '🏈', '⚾', '🏐', '🏓', '🏸', '🥊', '🏊', '🏄', '🚴', '⛷️', '🏋️', '🤸', '🤺'],
+  food: ['🍕', '🍔', '🌭', '🍟', '🌮', '🍣', '🍜', '🍝', '🍳', '🥐', '🥨', '🥞', '🧇', '🥯', '🥪', '🌯'],
+  faces: ['😀', '😂', '🥳', '😎', '🤔', '😍', '😴', '🤯', '🥸', '🤠', '🤡', '👻', '👽', '🤖', '💩', '🎃'],
+  plants: ['🌻', '🌼', '🌸', '🌺', '🌷', '🌹', '🍀', '🍁', '🍂', '🍃', '🌵', '🌴', '🌲', '🌳', '🍄', '🌱'],
+  objects: ['📱', '💻', '⌚', '📷', '🔋', '💡', '🔨', '🧲', '🔭', '🔬', '📚', '✏️', '🖍️', '🧷', '🧵', '🧶'],
+  flags: ['🏁', '🚩', '🎌', '🏴', '🏳️', '🏳️‍🌈', '🏳️‍⚧️', '🏴‍☠️', '🇺🇳', '🇦🇺', '🇨🇦', '🇯🇵', '🇰🇷', '🇬🇧', '🇺🇸', '🇪🇺'],
+  music: ['🎵', '🎶', '🎼', '🎹', '🥁', '🎸', '🎻', '🎺', '🎷', '🪕', '🪗', '🎤', '🎧', '📻', '🔉', '🔊'],
+  space: ['🌙', '🌍', '🪐', '🌟', '⭐', '💫', '☄️', '🌠', '🌌', '🚀', '🛸', '🔭', '🌑', '🌕', '🛰️', '👩‍🚀']
+};
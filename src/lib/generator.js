@@ -0,0 +1,195 @@
+import { COLORS, getNextStates, applyMove } from './puzzle.js';
+import { solvePuzzle } from './solver.js';
+import { createRandom, randomSeed } from './random.js';
+
+// Each tier is a band of ratePuzzle scores. mixing is the starting number of
+// random ball swaps per ball used to scramble a solved board; the generator adjusts
+// it between attempts to steer towards the band.
+export const DIFFICULTIES = {
+  Easy: { mixing: 0.25, scoreBand: [0, 55] },
+  Medium: { mixing: 0.5, scoreBand: [55, 75] },
+  Hard: { mixing: 1, scoreBand: [75, 90] },
+  Extreme: { mixing: 3, scoreBand: [90, Infinity] },
+};
+
+const MIXING_RANGE = [0.05, 4];
+
+// colors: distinct ball colours (one full tube each), capacity: balls per tube,
+// emptyTubes: spare tubes on top of the colour tubes
+export const DEFAULT_BOARD_CONFIG = { colors: 4, capacity: 4, emptyTubes: 2 };
+
+export const BOARD_LIMITS = {
+  colors: { min: 2, max: Object.keys(COLORS).length },
+  capacity: { min: 3, max: 8 },
+  emptyTubes: { min: 1, max: 4 }
+};
+
+// Budgets are counted in search states, not time, so a seed gives the same puzzle
+// on any machine
+const MAX_ATTEMPTS = 40;
+const GENERATION_STATE_LIMIT = 400000;
+// Per-puzzle solve budget while generating; puzzles that need more are skipped
+const SOLVE_STATE_LIMIT = 100000;
+// Deviations from the optimal line checked for dead ends, and the search budget
+// used to prove each one unsolvable
+const DEAD_END_SAMPLES = 40;
+const DEAD_END_BUDGET = 3000;
+
+// Limits for a board, where extraColors custom colours add to the built-in ones
+export function boardLimits(extraColors = 0) {
+  return { ...BOARD_LIMITS, colors: { ...BOARD_LIMITS.colors, max: BOARD_LIMITS.colors.max + extraColors } };
+}
+
+export function clampBoardConfig(config, extraColors = 0) {
+  const clamped = {};
+  Object.entries(boardLimits(extraColors)).forEach(([key, { min, max }]) => {
+    const value = Math.round(Number(config[key]));
+    clamped[key] = Number.isFinite(value) ? Math.min(max, Math.max(min, value)) : DEFAULT_BOARD_CONFIG[key];
+  });
+  return clamped;
+}
+
+// random is a Math.random-style function, e.g. from createRandom(seed)
+export function shuffleArray(array, random = Math.random) {
+  for (let i = array.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [array[i], array[j]] = [array[j], array[i]];
+  }
+  return array;
+}
+
+// Scrambles a solved board by swapping random pairs of balls, mixing swaps per
+// ball. Unlike a walk of legal moves this reaches well-mixed positions (a few
+// swaps per ball is as good as a random deal), so the result has to be checked
+// for solvability. No tube is left sorted: a light mix easily misses a tube, and
+// the board would then be easier than its mixing suggests. extraColors (custom
+// colour codes) are only drawn once the built-in colours run out, so smaller
+// boards come out the same from a seed.
+export function mixPuzzle({ colors, capacity, emptyTubes }, mixing, random = Math.random, extraColors = []) {
+  const builtIn = shuffleArray(Object.keys(COLORS), random);
+  const selectedColors = colors > builtIn.length
+    ? [...builtIn, ...shuffleArray([...extraColors], random)].slice(0, colors)
+    : builtIn.slice(0, colors);
+  const balls = selectedColors.flatMap(color => Array(capacity).fill(color));
+
+  const swaps = Math.max(1, Math.round(balls.length * mixing));
+  for (let i = 0; i < swaps; i++) {
+    const a = Math.floor(random() * balls.length);
+    const b = Math.floor(random() * balls.length);
+    [balls[a], balls[b]] = [balls[b], balls[a]];
+  }
+
+  const isSortedTube = i => balls.slice(i * capacity, (i + 1) * capacity).every(ball => ball === balls[i * capacity]);
+  // Swap a ball out of a sorted tube until none is left; a swap can sort the other tube
+  let sorted;
+  while ((sorted = selectedColors.findIndex((_, i) => isSortedTube(i))) !== -1) {
+    const a = sorted * capacity + Math.floor(random() * capacity);
+    const b = Math.floor(random() * balls.length);
+    [balls[a], balls[b]] = [balls[b], balls[a]];
+  }
+
+  const tubes = selectedColors.map((_, i) => balls.slice(i * capacity, (i + 1) * capacity));
+  return [...tubes, ...Array.from({ length: emptyTubes }, () => [])];
+}
+
+// Measures a puzzle from its optimal solution:
+//   optimalMoves    length of the A* solution
+//   branchingFactor average number of legal moves at each position on that line
+//   deadEndDensity  share of sampled wrong turns off that line that lead to a
+//                   position proven unsolvable within a small search budget
+// score is optimal moves per ball (x100), raised by dead ends and by having
+// fewer moves to choose from. statesExplored counts every search the rating ran.
+// Returns null if no solution is found within maxStates.
+export function ratePuzzle(tubes, maxBalls, { maxStates = SOLVE_STATE_LIMIT, rules = 'single' } = {}) {
+  const result = solvePuzzle(tubes, maxBalls, { algorithm: 'astar', maxMoves: maxStates, timeLimit: Infinity, rules });
+  if (!result.solvable) return null;
+  let statesExplored = result.searchStats.totalStatesExplored;
+
+  const { moves } = result;
+  let state = tubes;
+  let branches = 0;
+  let checked = 0;
+  let deadEnds = 0;
+  // Spread the dead-end samples evenly over the solution
+  const samplesPerStep = Math.max(1, Math.ceil(DEAD_END_SAMPLES / Math.max(moves.length, 1)));
+
+  moves.forEach(best => {
+    const nextStates = getNextStates(state, maxBalls, { rules });
+    branches += nextStates.length;
+
+    let sampled = 0;
+    for (const { nextTubes, move } of nextStates) {
+      if (checked >= DEAD_END_SAMPLES || sampled >= samplesPerStep) break;
+      if (move.from === best.from && move.to === best.to) continue;
+      sampled++;
+      checked++;
+      const attempt = solvePuzzle(nextTubes, maxBalls, {
+        algorithm: 'astar', maxMoves: DEAD_END_BUDGET, timeLimit: Infinity, rules
+      });
+      statesExplored += attempt.searchStats.totalStatesExplored;
+      if (!attempt.solvable && attempt.searchStats.reason === 'No solution found') deadEnds++;
+    }
+
+    state = applyMove(state, best);
+  });
+
+  const ballCount = tubes.reduce((sum, tube) => sum + tube.length, 0);
+  const optimalMoves = moves.length;
+  const branchingFactor = optimalMoves > 0 ? branches / optimalMoves : 0;
+  const deadEndDensity = checked > 0 ? deadEnds / checked : 0;
+  const tightness = Math.min(1.25, Math.max(0.8, Math.sqrt(4 / Math.max(branchingFactor, 1))));
+  const score = Math.round(100 * (optimalMoves / ballCount) * (1 + deadEndDensity) * tightness);
+
+  return { optimalMoves, branchingFactor, deadEndDensity, score, solution: moves, statesExplored };
+}
+
+export function difficultyForScore(score) {
+  return Object.keys(DIFFICULTIES).find(level => {
+    const [min, max] = DIFFICULTIES[level].scoreBand;
+    return score >= min && score < max;
+  });
+}
+
+// Mixes, solves and rates candidate puzzles until one lands in the tier's score
+// band. If none does within the attempt or search budget, the closest solvable
+// candidate is returned; rating.inBand tells the two apart.
+// The same seed, difficulty and board always give the same puzzle.
+export function generatePuzzle(selectedDifficulty, config = DEFAULT_BOARD_CONFIG, {
+  maxAttempts = MAX_ATTEMPTS,
+  maxStates = GENERATION_STATE_LIMIT,
+  seed = randomSeed(),
+  rules = 'single',
+  extraColors = []
+} = {}) {
+  const board = clampBoardConfig(config, extraColors.length);
+  const random = createRandom(seed);
+  const { scoreBand: [min, max] } = DIFFICULTIES[selectedDifficulty];
+  let { mixing } = DIFFICULTIES[selectedDifficulty];
+  let statesLeft = maxStates;
+  const distance = score => (score < min ? min - score : score >= max ? score - max + 1 : 0);
+  let best = null;
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    const tubes = mixPuzzle(board, mixing, random, extraColors);
+
+    const solveBudget = Math.min(SOLVE_STATE_LIMIT, statesLeft);
+    const rating = ratePuzzle(tubes, board.capacity, { maxStates: solveBudget, rules });
+    statesLeft -= rating ? rating.statesExplored : solveBudget;
+    if (rating && (!best || distance(rating.score) < distance(best.rating.score))) {
+      best = { tubes, maxBalls: board.capacity, rating: { ...rating, attempts: attempt } };
+    }
+    if (best && distance(best.rating.score) === 0) break;
+    if (statesLeft <= 0 && best) break;
+
+    // Too hard (or too big to solve within budget) means less mixing next time, too easy means more
+    const tooHard = !rating || rating.score >= max;
+    mixing = Math.min(MIXING_RANGE[1], Math.max(MIXING_RANGE[0], mixing * (tooHard ? 0.7 : 1.4)));
+  }
+
+  if (!best) return null;
+  best.rating.inBand = distance(best.rating.score) === 0;
+  best.rating.difficulty = difficultyForScore(best.rating.score);
+  best.rating.seed = seed;
+  best.rating.rules = rules;
+  return best;
+}
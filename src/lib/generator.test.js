@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { generatePuzzle, mixPuzzle, DEFAULT_BOARD_CONFIG, DIFFICULTIES } from './generator.js';
+import { createRandom } from './random.js';
+import { validatePuzzle, isTubeSorted } from './puzzle.js';
+
+test('the same seed gives the same numbers', () => {
+  const a = createRandom('daily');
+  const b = createRandom('daily');
+  const c = createRandom('other');
+  const first = Array.from({ length: 5 }, a);
+  assert.deepEqual(Array.from({ length: 5 }, b), first);
+  assert.notDeepEqual(Array.from({ length: 5 }, c), first);
+  first.forEach(number => assert.ok(number >= 0 && number < 1));
+});
+
+test('the same seed gives the same puzzle', () => {
+  const a = generatePuzzle('Easy', DEFAULT_BOARD_CONFIG, { seed: 'daily' });
+  const b = generatePuzzle('Easy', DEFAULT_BOARD_CONFIG, { seed: 'daily' });
+  assert.deepEqual(b.tubes, a.tubes);
+  assert.equal(b.rating.score, a.rating.score);
+  assert.equal(a.rating.seed, 'daily');
+});
+
+test('generated puzzles are valid and fit the board', () => {
+  const { tubes, maxBalls } = generatePuzzle('Medium', DEFAULT_BOARD_CONFIG, { seed: 42 });
+  const { colors, capacity, emptyTubes } = DEFAULT_BOARD_CONFIG;
+  assert.equal(maxBalls, capacity);
+  assert.equal(tubes.length, colors + emptyTubes);
+  assert.equal(validatePuzzle(tubes, maxBalls).valid, true);
+});
+
+test('even a light mix leaves no tube sorted', () => {
+  const random = createRandom('light');
+  for (let i = 0; i < 200; i++) {
+    const tubes = mixPuzzle(DEFAULT_BOARD_CONFIG, DIFFICULTIES.Easy.mixing / 4, random);
+    assert.equal(tubes.some(tube => isTubeSorted(tube, DEFAULT_BOARD_CONFIG.capacity)), false);
+  }
+});
+
+test('running out of search budget stops at the same puzzle every time', () => {
+  const board = { colors: 8, capacity: 4, emptyTubes: 2 };
+  const generate = () => generatePuzzle('Easy', board, { seed: 'budget', maxStates: 3000 });
+  const a = generate();
+  const b = generate();
+  assert.equal(a.rating.inBand, false);
+  assert.deepEqual(b.tubes, a.tubes);
+  assert.deepEqual(b.rating, a.rating);
+});
@@ -0,0 +1,48 @@
+import { applyMove, reverseMove, isSolved } from './puzzle.js';
+import { solvePuzzle } from './solver.js';
+
+const HINT_TIME_LIMIT = 20000;
+const NO_SOLUTION = 'No solution found';
+
+// Suggests the first move of an optimal solution from the current position. When
+// the position is a dead end, walks back through moveHistory to count how many
+// undos it takes to reach a position that can still be solved.
+//
+// Result status: 'move' (with move and movesLeft), 'dead-end' (with undoCount),
+// 'unsolvable' (not even the start can be solved), 'solved', 'invalid' or
+// 'gave-up' (a search limit was hit before an answer was certain).
+export function findHint(tubes, maxBalls, moveHistory = [], {
+  algorithm = 'astar',
+  timeLimit = HINT_TIME_LIMIT,
+  ...options
+} = {}) {
+  if (isSolved(tubes, maxBalls, options.tubeSpecs)) return { status: 'solved' };
+
+  const deadline = Date.now() + timeLimit;
+  const attempt = (state) => solvePuzzle(state, maxBalls, {
+    ...options,
+    algorithm,
+    timeLimit: Math.max(deadline - Date.now(), 0)
+  });
+
+  const result = attempt(tubes);
+  if (result.solvable) {
+    return { status: 'move', move: result.moves[0], movesLeft: result.moves.length, searchStats: result.searchStats };
+  }
+  if (!result.searchStats) return { status: 'invalid', errors: result.validation.errors };
+  if (result.searchStats.reason !== NO_SOLUTION) return { status: 'gave-up', reason: result.searchStats.reason };
+
+  let state = tubes;
+  for (let undoCount = 1; undoCount <= moveHistory.length; undoCount++) {
+    state = applyMove(state, reverseMove(moveHistory[moveHistory.length - undoCount]));
+    const earlier = attempt(state);
+    if (earlier.solvable) {
+      return { status: 'dead-end', undoCount, movesLeft: earlier.moves.length };
+    }
+    if (earlier.searchStats.reason !== NO_SOLUTION) {
+      return { status: 'gave-up', reason: earlier.searchStats.reason };
+    }
+  }
+
+  return { status: 'unsolvable' };
+}
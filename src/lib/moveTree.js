@@ -0,0 +1,124 @@
+// Undo tree for a game. Every move played is kept: playing a different move after
+// an undo starts a new branch instead of discarding the old line.
+//
+//   { nodes: [{ parent, move, children, redoChild }], current }
+//
+// Node 0 is the start position (no move); a node's moves are the moves on the path
+// from the root down to it. redoChild is the child that redo follows, the branch
+// most recently visited from that node. Trees are plain data (they are saved with
+// the game) and are never mutated; every change returns a new tree.
+
+const ROOT = 0;
+
+const sameMove = (a, b) => a.from === b.from && a.to === b.to && (a.count ?? 1) === (b.count ?? 1);
+
+export function createMoveTree() {
+  return { nodes: [{ parent: null, move: null, children: [], redoChild: null }], current: ROOT };
+}
+
+function updateNode(nodes, id, changes) {
+  const copy = [...nodes];
+  copy[id] = { ...nodes[id], ...changes };
+  return copy;
+}
+
+// Moves to the child reached by move, adding it if the move is new from here
+export function addMove(tree, move) {
+  const node = tree.nodes[tree.current];
+  const existing = node.children.find(id => sameMove(tree.nodes[id].move, move));
+  if (existing !== undefined) {
+    return { nodes: updateNode(tree.nodes, tree.current, { redoChild: existing }), current: existing };
+  }
+
+  const id = tree.nodes.length;
+  const nodes = updateNode(tree.nodes, tree.current, { children: [...node.children, id], redoChild: id });
+  nodes.push({ parent: tree.current, move, children: [], redoChild: null });
+  return { nodes, current: id };
+}
+
+// Plays a whole line of moves from the start position
+export function addLine(tree, moves) {
+  return moves.reduce(addMove, { ...tree, current: ROOT });
+}
+
+export function canUndo(tree) {
+  return tree.current !== ROOT;
+}
+
+export function undoMove(tree) {
+  return canUndo(tree) ? { ...tree, current: tree.nodes[tree.current].parent } : tree;
+}
+
+// The move redo would play, or null
+export function redoTarget(tree) {
+  const child = tree.nodes[tree.current].redoChild;
+  return child === null ? null : tree.nodes[child].move;
+}
+
+export function pathTo(tree, id) {
+  const moves = [];
+  for (let node = id; node !== ROOT; node = tree.nodes[node].parent) {
+    moves.push(tree.nodes[node].move);
+  }
+  return moves.reverse();
+}
+
+export function depthOf(tree, id) {
+  let depth = 0;
+  for (let node = id; node !== ROOT; node = tree.nodes[node].parent) depth++;
+  return depth;
+}
+
+// The node steps moves back up the line to id, stopping at the start position
+export function ancestorOf(tree, id, steps) {
+  let node = id;
+  for (let step = 0; step < steps && node !== ROOT; step++) node = tree.nodes[node].parent;
+  return node;
+}
+
+// Makes id the current node, pointing redo along the way to it from every ancestor
+export function jumpTo(tree, id) {
+  let nodes = tree.nodes;
+  for (let node = id; node !== ROOT; node = nodes[node].parent) {
+    nodes = updateNode(nodes, nodes[node].parent, { redoChild: node });
+  }
+  return { nodes, current: id };
+}
+
+// Builds a tree from a linear history and redo stack (last entry redoes first)
+export function treeFromLine(moveHistory, redoStack = []) {
+  const line = [...moveHistory, ...[...redoStack].reverse()];
+  return { ...addLine(createMoveTree(), line), current: moveHistory.length };
+}
+
+export function leavesOf(tree) {
+  return tree.nodes.map((_, id) => id).filter(id => tree.nodes[id].children.length === 0);
+}
+
+// Where the two nodes' lines split: their deepest common ancestor
+export function commonAncestor(tree, a, b) {
+  const ancestors = new Set();
+  for (let node = a; node !== null; node = tree.nodes[node].parent) ancestors.add(node);
+  let node = b;
+  while (!ancestors.has(node)) node = tree.nodes[node].parent;
+  return node;
+}
+
+// Grid positions for drawing: depth is the column, and each branch gets its own
+// row, with a node's first child continuing on its parent's row
+export function layoutMoveTree(tree) {
+  const positions = new Array(tree.nodes.length);
+  let rows = 1;
+  const stack = [[ROOT, 0, 0]];
+  while (stack.length > 0) {
+    const [id, depth, assignedRow] = stack.pop();
+    // Side branches get the next free row once the branches before them are laid out
+    const row = assignedRow ?? rows++;
+    positions[id] = { id, depth, row };
+    const { children } = tree.nodes[id];
+    for (let idx = children.length - 1; idx >= 0; idx--) {
+      stack.push([children[idx], depth + 1, idx === 0 ? row : null]);
+    }
+  }
+  return { positions, rows };
+}
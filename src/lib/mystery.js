@@ -0,0 +1,31 @@
+import { applyMove } from './puzzle.js';
+
+// Mystery mode: a ball's colour is hidden until it has been the top ball of its
+// tube. The reveal mask mirrors the tubes with one boolean per ball. It is derived
+// from the start position and the moves played, so undo, redo and history
+// navigation restore exactly what was visible at that point.
+
+export function initialRevealMask(tubes) {
+  return tubes.map(tube => tube.map((_, i) => i === 0));
+}
+
+// Every ball that moves is revealed, as is whatever the move uncovers in the source
+// tube. The player's own moves only carry revealed balls (see movableCount), but a
+// solution being played back can pour balls that were still hidden.
+export function applyRevealMove(mask, move) {
+  const next = applyMove(mask, move);
+  const count = move.count ?? 1;
+  next[move.to] = next[move.to].map((revealed, i) => revealed || i < count);
+  if (next[move.from].length > 0 && !next[move.from][0]) {
+    next[move.from] = [true, ...next[move.from].slice(1)];
+  }
+  return next;
+}
+
+export function revealMaskAfter(startTubes, moves) {
+  return moves.reduce(applyRevealMove, initialRevealMask(startTubes));
+}
+
+export function countHidden(mask) {
+  return mask.reduce((sum, tube) => sum + tube.filter(revealed => !revealed).length, 0);
+}
@@ -0,0 +1,25 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { initialRevealMask, applyRevealMove, revealMaskAfter, countHidden } from './mystery.js';
+import { movableCount } from './puzzle.js';
+
+const TUBES = [['RD', 'RD', 'RD', 'LB'], ['LB', 'LB', 'LB', 'RD'], [], []];
+
+test('only top balls start revealed', () => {
+  assert.deepEqual(initialRevealMask(TUBES)[0], [true, false, false, false]);
+  assert.equal(countHidden(initialRevealMask(TUBES)), 6);
+});
+
+test('a pour only carries the balls the player can see', () => {
+  const mask = initialRevealMask(TUBES);
+  assert.equal(movableCount(TUBES, 0, 2, 4, { rules: 'pour' }), 3);
+  assert.equal(movableCount(TUBES, 0, 2, 4, { rules: 'pour', revealed: mask[0] }), 1);
+  assert.equal(movableCount(TUBES, 0, 2, 4, { rules: 'pour', revealed: [true, true, false, false] }), 2);
+});
+
+test('every ball that moves is revealed', () => {
+  const mask = applyRevealMove(initialRevealMask(TUBES), { from: 0, to: 2, ball: 'RD', count: 3 });
+  assert.deepEqual(mask[2], [true, true, true]);
+  assert.deepEqual(mask[0], [true]);
+  assert.equal(countHidden(revealMaskAfter(TUBES, [{ from: 0, to: 2, ball: 'RD', count: 3 }])), 3);
+});
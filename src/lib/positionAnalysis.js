@@ -0,0 +1,19 @@
+import { applyMove, getNextStates, isSolved, serializeTubes } from './puzzle.js';
+
+// Quick checks of the position reached by playing moveHistory from startTubes,
+// cheap enough to run after every move:
+//   stuck       no legal move is left (and the puzzle is not solved)
+//   loopLength  the position was already reached this many moves ago, or null
+export function analysePlay(startTubes, moveHistory, maxBalls, { rules = 'single', tubeSpecs = null } = {}) {
+  const positions = [serializeTubes(startTubes)];
+  let tubes = startTubes;
+  moveHistory.forEach(move => {
+    tubes = applyMove(tubes, move);
+    positions.push(serializeTubes(tubes));
+  });
+
+  const current = positions.length - 1;
+  const seenAt = current > 0 ? positions.lastIndexOf(positions[current], current - 1) : -1;
+  const stuck = !isSolved(tubes, maxBalls, tubeSpecs) && getNextStates(tubes, maxBalls, { rules, tubeSpecs }).length === 0;
+  return { stuck, loopLength: seenAt >= 0 ? current - seenAt : null };
+}
@@ -0,0 +1,50 @@
+import PropTypes from 'prop-types';
+import { BALL_STYLES } from './ballSkins.js';
+
+// PropTypes for the puzzle data that components pass around
+
+// Colour codes, top ball first (see puzzle.js)
+export const tubesShape = PropTypes.arrayOf(PropTypes.arrayOf(PropTypes.string));
+
+export const tubeSpecsShape = PropTypes.arrayOf(PropTypes.shape({
+  capacity: PropTypes.number,
+  onlyColor: PropTypes.string,
+  unlock: PropTypes.shape({ tube: PropTypes.number, sortedTubes: PropTypes.number })
+}));
+
+export const moveShape = PropTypes.shape({
+  from: PropTypes.number.isRequired,
+  to: PropTypes.number.isRequired,
+  ball: PropTypes.string,
+  count: PropTypes.number
+});
+
+// See moveTree.js
+export const moveTreeShape = PropTypes.shape({
+  nodes: PropTypes.arrayOf(PropTypes.shape({
+    parent: PropTypes.number,
+    move: moveShape,
+    children: PropTypes.arrayOf(PropTypes.number).isRequired,
+    redoChild: PropTypes.number
+  })).isRequired,
+  current: PropTypes.number.isRequired
+});
+
+// See ballSkins.js
+export const skinSettingsShape = PropTypes.shape({
+  style: PropTypes.oneOf(Object.keys(BALL_STYLES)),
+  highContrast: PropTypes.bool,
+  emojiSet: PropTypes.string
+});
+
+// See replay.js
+export const replayShape = PropTypes.shape({
+  puzzle: PropTypes.shape({
+    tubes: tubesShape.isRequired,
+    maxBalls: PropTypes.number.isRequired,
+    tubeSpecs: tubeSpecsShape
+  }).isRequired,
+  rules: PropTypes.string,
+  events: PropTypes.arrayOf(PropTypes.shape({ type: PropTypes.string.isRequired, at: PropTypes.number.isRequired }))
+    .isRequired
+});
@@ -0,0 +1,297 @@
+export const COLORS = {
+  LB: { name: 'LIGHT_BLUE',  hex: '#87CEEB' },
+  DB: { name: 'DARK_BLUE',   hex: '#0000CD' },
+  LG: { name: 'LIGHT_GREEN', hex: '#90EE90' },
+  DG: { name: 'DARK_GREEN',  hex: '#006400' },
+  PK: { name: 'PINK',        hex: '#FFB6C1' },
+  RD: { name: 'RED',         hex: '#FF0000' },
+  OR: { name: 'ORANGE',      hex: '#FFA500' },
+  PU: { name: 'PURPLE',      hex: '#800080' },
+  GY: { name: 'GRAY',        hex: '#808080' },
+  YE: { name: 'YELLOW',      hex: '#FFD700' },
+  BR: { name: 'BROWN',       hex: '#8B4513' },
+  CY: { name: 'CYAN',        hex: '#00CED1' },
+  MG: { name: 'MAGENTA',     hex: '#FF00FF' },
+  BK: { name: 'BLACK',       hex: '#1A1A1A' },
+  WH: { name: 'WHITE',       hex: '#F5F5F5' },
+  TL: { name: 'TEAL',        hex: '#008080' }
+};
+
+// Colours outside the built-in palette (e.g. from an imported screenshot) are coded
+// as X plus their hex value, so they need no registry and survive puzzle codes
+const CUSTOM_COLOR_PATTERN = /^X[0-9A-F]{6}$/;
+
+export function customColorCode(hex) {
+  return `X${hex.replace('#', '').toUpperCase()}`;
+}
+
+export function isValidColor(code) {
+  return Object.hasOwn(COLORS, code) || CUSTOM_COLOR_PATTERN.test(code);
+}
+
+// { name, hex } for a built-in or custom colour code, undefined for anything else
+export function getColor(code) {
+  if (Object.hasOwn(COLORS, code)) return COLORS[code];
+  if (CUSTOM_COLOR_PATTERN.test(code)) return { name: `CUSTOM_${code.slice(1)}`, hex: `#${code.slice(1)}` };
+  return undefined;
+}
+
+// How many balls a move carries: one, or the whole run of the top colour (as many
+// of it as fit in the target tube), as in many mobile ball sort games
+export const RULESETS = {
+  single: { label: 'Single ball' },
+  pour: { label: 'Pour run' }
+};
+
+// Per-tube attributes. tubeSpecs is null for a plain puzzle, or an array parallel to
+// tubes whose entries are null or any of:
+//   capacity   balls the tube holds (default maxBalls, the number of balls per colour)
+//   onlyColor  the one colour code the tube accepts
+//   unlock     the tube is locked, and no ball may enter or leave it, until
+//              { tube: i } tube i is sorted, or { sortedTubes: n } n tubes are sorted
+export function tubeCapacity(maxBalls, tubeSpecs, index) {
+  return tubeSpecs?.[index]?.capacity ?? maxBalls;
+}
+
+export function hasTubeSpecs(tubeSpecs) {
+  return !!tubeSpecs && tubeSpecs.some(spec => spec && Object.keys(spec).length > 0);
+}
+
+function isUnlockMet(unlock, tubes, maxBalls, tubeSpecs) {
+  if (unlock.tube !== undefined) {
+    return isTubeSorted(tubes[unlock.tube], maxBalls, tubeSpecs?.[unlock.tube]);
+  }
+  const sorted = tubes.filter((tube, idx) => isTubeSorted(tube, maxBalls, tubeSpecs?.[idx])).length;
+  return sorted >= unlock.sortedTubes;
+}
+
+// Locks follow the position: breaking up the tube that opened a lock closes it again
+export function getLockedTubes(tubes, maxBalls, tubeSpecs) {
+  return tubes.map((_, idx) => {
+    const unlock = tubeSpecs?.[idx]?.unlock;
+    return !!unlock && !isUnlockMet(unlock, tubes, maxBalls, tubeSpecs);
+  });
+}
+
+// Human-readable condition for a locked tube
+export function describeUnlock(unlock) {
+  if (unlock.tube !== undefined) return `Opens when Tube ${unlock.tube + 1} is sorted`;
+  return `Opens when ${unlock.sortedTubes} tube${unlock.sortedTubes === 1 ? ' is' : 's are'} sorted`;
+}
+
+function validateTubeSpecs(tubes, tubeSpecs, errors) {
+  if (tubeSpecs.length !== tubes.length) {
+    errors.push(`Tube settings list ${tubeSpecs.length} tubes but the puzzle has ${tubes.length}`);
+    return;
+  }
+  tubeSpecs.forEach((spec, idx) => {
+    if (!spec) return;
+    const label = `Tube ${idx + 1}`;
+    if (spec.capacity !== undefined && (!Number.isInteger(spec.capacity) || spec.capacity < 1)) {
+      errors.push(`${label} has an invalid capacity: ${spec.capacity}`);
+    }
+    if (spec.onlyColor !== undefined) {
+      if (!isValidColor(spec.onlyColor)) {
+        errors.push(`${label} only accepts an invalid color code: ${spec.onlyColor}`);
+      } else if (tubes[idx].some(ball => ball !== spec.onlyColor)) {
+        errors.push(`${label} only accepts ${spec.onlyColor} but holds other colors`);
+      }
+    }
+    if (spec.unlock) {
+      const { tube, sortedTubes } = spec.unlock;
+      if (tube !== undefined && (!Number.isInteger(tube) || tube < 0 || tube >= tubes.length || tube === idx)) {
+        errors.push(`${label} is unlocked by an invalid tube`);
+      }
+      if (tube === undefined && !(Number.isInteger(sortedTubes) && sortedTubes >= 1 && sortedTubes < tubes.length)) {
+        errors.push(`${label} needs between 1 and ${tubes.length - 1} sorted tubes to unlock`);
+      }
+    }
+  });
+}
+
+export function validatePuzzle(tubes, maxBalls, tubeSpecs = null) {
+  const errors = [];
+  const counts = {};
+
+  if (tubeSpecs) validateTubeSpecs(tubes, tubeSpecs, errors);
+
+  tubes.forEach((tube, idx) => {
+    const capacity = tubeCapacity(maxBalls, tubeSpecs, idx);
+    if (tube.length > capacity) {
+      errors.push(`Tube ${idx + 1} exceeds maximum capacity of ${capacity}`);
+    }
+    tube.forEach(ball => {
+      counts[ball] = (counts[ball] || 0) + 1;
+    });
+  });
+
+  Object.entries(counts).forEach(([color, count]) => {
+    if (count !== maxBalls) {
+      errors.push(`Color ${color} has ${count} balls (expected ${maxBalls})`);
+    }
+  });
+
+  Object.keys(counts).forEach(color => {
+    if (!isValidColor(color)) {
+      errors.push(`Invalid color code: ${color}`);
+    }
+  });
+
+  return {
+    valid: errors.length === 0,
+    errors,
+    ballCounts: counts
+  };
+}
+
+// maxBalls is the number of balls of each colour, so a tube larger than that is
+// sorted once it holds a whole colour. spec is the tube's entry in tubeSpecs.
+export function isTubeSorted(tube, maxBalls, spec = null) {
+  // Empty tubes are not considered "sorted" - we need them for moves
+  if (tube.length === 0) return false;
+
+  // A tube is only sorted if it has all balls of the same color
+  if (tube.length === maxBalls) {
+    const color = tube[0];
+    if (spec?.onlyColor && spec.onlyColor !== color) return false;
+    return tube.every(ball => ball === color);
+  }
+
+  // Partially filled tubes are not sorted
+  return false;
+}
+
+export function isEmptyTubeMoveNecessary(tubes, fromTubeIdx, ball, maxBalls) {
+  return !tubes.some((tube, idx) =>
+    idx !== fromTubeIdx &&
+    tube.length > 0 &&
+    tube.length < maxBalls &&
+    tube[0] === ball
+  );
+}
+
+// Number of balls of the top colour sitting together at the top of a tube
+export function topRunLength(tube) {
+  let run = 0;
+  while (run < tube.length && tube[run] === tube[0]) run++;
+  return run;
+}
+
+// Balls the move from -> to would carry under the ruleset (a key of RULESETS) and
+// tube attributes, or 0 if it is not legal. locked can pass in getLockedTubes
+// output when checking many moves from one position. revealed is the source tube's
+// row of a mystery reveal mask: a pour then stops at the first hidden ball, so the
+// count never tells the player more than they can see.
+export function movableCount(tubes, from, to, maxBalls, {
+  rules = 'single',
+  tubeSpecs = null,
+  locked = tubeSpecs && getLockedTubes(tubes, maxBalls, tubeSpecs),
+  revealed = null
+} = {}) {
+  const fromTube = tubes[from];
+  const toTube = tubes[to];
+  const space = tubeCapacity(maxBalls, tubeSpecs, to) - toTube.length;
+  if (from === to || fromTube.length === 0 || space <= 0) return 0;
+  if (toTube.length > 0 && toTube[0] !== fromTube[0]) return 0;
+  if (locked && (locked[from] || locked[to])) return 0;
+  const onlyColor = tubeSpecs?.[to]?.onlyColor;
+  if (onlyColor && onlyColor !== fromTube[0]) return 0;
+  if (rules !== 'pour') return 1;
+  const hiddenAt = revealed ? revealed.indexOf(false) : -1;
+  const run = hiddenAt === -1 ? topRunLength(fromTube) : Math.min(topRunLength(fromTube), hiddenAt);
+  return Math.min(run, space);
+}
+
+// Relaxed move generation: every legal move is returned so the search can mix freely
+export function getNextStates(tubes, maxBalls, { rules = 'single', tubeSpecs = null } = {}) {
+  const nextStates = [];
+  const locked = tubeSpecs && getLockedTubes(tubes, maxBalls, tubeSpecs);
+
+  for (let i = 0; i < tubes.length; i++) {
+    const fromTube = tubes[i];
+    if (fromTube.length === 0 || isTubeSorted(fromTube, maxBalls, tubeSpecs?.[i])) continue;
+
+    for (let j = 0; j < tubes.length; j++) {
+      // Removed the isUsefulMove condition to allow more diverse moves
+      // const isUsefulMove = toTube.length > 0 || isEmptyTubeMoveNecessary(tubes, i, topBall, maxBalls);
+      const count = movableCount(tubes, i, j, maxBalls, { rules, tubeSpecs, locked });
+      if (count > 0) {
+        const move = { from: i, to: j, ball: fromTube[0], count };
+        nextStates.push({ nextTubes: applyMove(tubes, move), move });
+      }
+    }
+  }
+
+  return nextStates;
+}
+
+// Moves are { from, to, ball, count } with tube indices, the same shape the game
+// keeps in moveHistory; count (default 1) balls of colour ball go from the top of
+// one tube to the top of the other. Tubes untouched by the move are shared with
+// the previous state.
+export function applyMove(tubes, { from, to, count = 1 }) {
+  const newTubes = [...tubes];
+  const balls = tubes[from].slice(0, count);
+  newTubes[from] = tubes[from].slice(count);
+  newTubes[to] = [...balls, ...tubes[to]];
+  return newTubes;
+}
+
+export function reverseMove({ from, to, ball, count = 1 }) {
+  return { from: to, to: from, ball, count };
+}
+
+// The single move that turns before into after, or null if there is none
+export function findMove(before, after) {
+  if (before.length !== after.length) return null;
+  const changed = before.map((_, idx) => idx).filter(idx => before[idx].join() !== after[idx].join());
+  if (changed.length !== 2) return null;
+
+  const [from, to] = after[changed[0]].length < before[changed[0]].length ? changed : [changed[1], changed[0]];
+  const count = before[from].length - after[from].length;
+  if (count <= 0) return null;
+  const move = { from, to, ball: before[from][0], count };
+  return serializeTubes(applyMove(before, move)) === serializeTubes(after) ? move : null;
+}
+
+// Human-readable text for a move, given the tubes as they were before it
+export function describeMove({ from, to, ball, count = 1 }, tubes) {
+  const targetTube = tubes[to];
+  const colorName = count > 1 ? `${count} × ${getColor(ball).name}` : getColor(ball).name;
+  const fromTubeLabel = `Tube ${from + 1}`;
+  const toTubeLabel = `Tube ${to + 1}`;
+
+  if (targetTube.length === 0) {
+    return `Move ${colorName} from ${fromTubeLabel} to empty ${toTubeLabel}`;
+  } else {
+    const topColor = getColor(targetTube[0]).name;
+    return `Move ${colorName} from ${fromTubeLabel} to ${toTubeLabel} (on top of ${topColor})`;
+  }
+}
+
+// Spoken description of a tube, top ball first. revealed marks which balls may be
+// named (mystery mode); the rest are read out as hidden.
+export function describeTube(tube, tubeIndex, capacity, revealed = null) {
+  const label = `Tube ${tubeIndex + 1}`;
+  if (tube.length === 0) return `${label}, empty`;
+  const balls = tube.map((ball, idx) => (!revealed || revealed[idx] ? getColor(ball).name : 'hidden'));
+  return `${label}, ${tube.length} of ${capacity} balls, top to bottom: ${balls.join(', ')}`;
+}
+
+// Describes each move of a sequence played from startTubes
+export function describeMoves(startTubes, moves) {
+  let tubes = startTubes;
+  return moves.map(move => {
+    const description = describeMove(move, tubes);
+    tubes = applyMove(tubes, move);
+    return description;
+  });
+}
+
+export function serializeTubes(tubes) {
+  return tubes.map(tube => tube.join(',')).join('|');
+}
+
+export function isSolved(tubes, maxBalls, tubeSpecs = null) {
+  return tubes.every((tube, idx) => isTubeSorted(tube, maxBalls, tubeSpecs?.[idx]) || tube.length === 0);
+}
@@ -0,0 +1,121 @@
+import { isValidColor, hasTubeSpecs } from './puzzle.js';
+
+// Compact text form of a puzzle for URLs and copy/paste:
+//
+//   1-4-RD.PK.LG.DB-0121.1201.3322.3123..
+//   |  | |           tubes top to bottom, one base-36 digit per ball indexing the
+//   |  | |           colour list (two digits each when there are more than 36
+//   |  | |           colours); empty tubes are empty segments
+//   |  | colour codes used by the puzzle (built-in or custom X<hex>)
+//   |  tube capacity
+//   format version
+//
+// Puzzles with tube attributes (tubeSpecs) add a fifth section, one "."-separated
+// segment per tube of "_"-joined settings: c<capacity>, o<colour code> for a
+// single-colour tube, lt<tube index> or ls<count> for a tube locked until that
+// tube, or that many tubes, are sorted. For example "-....c6_oRD.lt0".
+const VERSION = '1';
+const HASH_KEY = 'puzzle';
+
+// Base-36 digits per ball; it follows from the colour list, so codes for up to 36
+// colours keep their one-digit form
+const digitsPerBall = colorCount => (colorCount > 36 ? 2 : 1);
+
+function encodeTubeSpec(spec) {
+  if (!spec) return '';
+  const settings = [];
+  if (spec.capacity !== undefined) settings.push(`c${spec.capacity}`);
+  if (spec.onlyColor) settings.push(`o${spec.onlyColor}`);
+  if (spec.unlock?.tube !== undefined) settings.push(`lt${spec.unlock.tube}`);
+  else if (spec.unlock) settings.push(`ls${spec.unlock.sortedTubes}`);
+  return settings.join('_');
+}
+
+// Returns the spec, or an error message string
+function decodeTubeSpec(segment) {
+  if (!segment) return null;
+  const spec = {};
+  for (const setting of segment.split('_')) {
+    const value = setting.slice(setting.startsWith('l') ? 2 : 1);
+    const number = Number(value);
+    if (setting.startsWith('c') && Number.isInteger(number)) spec.capacity = number;
+    else if (setting.startsWith('o') && isValidColor(value)) spec.onlyColor = value;
+    else if (setting.startsWith('lt') && Number.isInteger(number)) spec.unlock = { tube: number };
+    else if (setting.startsWith('ls') && Number.isInteger(number)) spec.unlock = { sortedTubes: number };
+    else return `bad tube setting "${setting}"`;
+  }
+  return spec;
+}
+
+export function encodePuzzle(tubes, maxBalls, tubeSpecs = null) {
+  const colors = [];
+  tubes.forEach(tube => tube.forEach(ball => {
+    if (!colors.includes(ball)) colors.push(ball);
+  }));
+  const width = digitsPerBall(colors.length);
+  if (colors.length > 36 ** width) throw new Error(`A puzzle code holds at most ${36 ** width} colours, not ${colors.length}`);
+  const tubeCodes = tubes.map(tube => tube.map(ball => colors.indexOf(ball).toString(36).padStart(width, '0')).join(''));
+  const parts = [VERSION, maxBalls, colors.join('.'), tubeCodes.join('.')];
+  if (hasTubeSpecs(tubeSpecs)) parts.push(tubeSpecs.map(encodeTubeSpec).join('.'));
+  return parts.join('-');
+}
+
+// Returns { puzzle: { tubes, maxBalls, tubeSpecs }, error: null } or { puzzle: null, error }.
+// tubeSpecs is null for a puzzle without tube attributes.
+export function decodePuzzle(code) {
+  const fail = error => ({ puzzle: null, error: `Invalid puzzle code: ${error}` });
+  const parts = String(code).trim().split('-');
+  if (parts.length !== 4 && parts.length !== 5) return fail('expected 4 or 5 sections separated by "-"');
+
+  const [version, capacityText, colorText, tubeText, specText] = parts;
+  if (version !== VERSION) return fail(`unsupported version "${version}"`);
+
+  const maxBalls = Number(capacityText);
+  if (!Number.isInteger(maxBalls) || maxBalls < 1) return fail(`bad capacity "${capacityText}"`);
+
+  const colors = colorText ? colorText.split('.') : [];
+  const unknown = colors.filter(color => !isValidColor(color));
+  if (unknown.length > 0) return fail(`unknown colour ${unknown.join(', ')}`);
+
+  const width = digitsPerBall(colors.length);
+  const tubes = [];
+  for (const segment of tubeText.split('.')) {
+    if (segment.length % width !== 0) return fail(`tube "${segment}" is not ${width} digits per ball`);
+    const tube = [];
+    for (let i = 0; i < segment.length; i += width) {
+      const digits = segment.slice(i, i + width);
+      const color = /^[0-9a-z]+$/i.test(digits) ? colors[parseInt(digits, 36)] : undefined;
+      if (!color) return fail(`ball "${digits}" does not match a colour`);
+      tube.push(color);
+    }
+    tubes.push(tube);
+  }
+
+  let tubeSpecs = null;
+  if (specText !== undefined) {
+    tubeSpecs = specText.split('.').map(decodeTubeSpec);
+    const error = tubeSpecs.find(spec => typeof spec === 'string');
+    if (error) return fail(error);
+    if (tubeSpecs.length !== tubes.length) return fail('tube settings do not match the tubes');
+  }
+
+  return { puzzle: { tubes, maxBalls, tubeSpecs }, error: null };
+}
+
+export function puzzleHash(tubes, maxBalls, tubeSpecs = null) {
+  return `#${HASH_KEY}=${encodePuzzle(tubes, maxBalls, tubeSpecs)}`;
+}
+
+// The puzzle code in a location hash such as "#puzzle=1-4-...", or null
+export function readPuzzleCodeFromHash(hash) {
+  const params = new URLSearchParams(String(hash).replace(/^#/, ''));
+  return params.get(HASH_KEY);
+}
+
+// Accepts a bare code or a full share link
+export function extractPuzzleCode(text) {
+  const trimmed = String(text).trim();
+  const hashIndex = trimmed.indexOf('#');
+  if (hashIndex === -1) return trimmed;
+  return readPuzzleCodeFromHash(trimmed.slice(hashIndex)) ?? trimmed;
+}
@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { encodePuzzle, decodePuzzle, puzzleHash, readPuzzleCodeFromHash, extractPuzzleCode } from './puzzleCode.js';
+
+const TUBES = [['RD', 'PK', 'LG'], ['LG', 'RD', 'PK'], ['PK', 'LG', 'RD'], [], []];
+
+test('a puzzle survives a round trip through its code', () => {
+  const code = encodePuzzle(TUBES, 3);
+  assert.equal(code, '1-3-RD.PK.LG-012.201.120..');
+  assert.deepEqual(decodePuzzle(code), { puzzle: { tubes: TUBES, maxBalls: 3, tubeSpecs: null }, error: null });
+});
+
+test('tube settings survive a round trip', () => {
+  const tubeSpecs = [null, null, { unlock: { tube: 0 } }, { capacity: 4, onlyColor: 'RD' }, { unlock: { sortedTubes: 2 } }];
+  const code = encodePuzzle(TUBES, 3, tubeSpecs);
+  assert.equal(code, '1-3-RD.PK.LG-012.201.120..-..lt0.c4_oRD.ls2');
+  assert.deepEqual(decodePuzzle(code).puzzle, { tubes: TUBES, maxBalls: 3, tubeSpecs });
+});
+
+test('puzzles with more than 36 colours use two digits per ball', () => {
+  const colors = Array.from({ length: 40 }, (_, idx) => `X${idx.toString(16).padStart(6, '0')}`.toUpperCase());
+  const tubes = [colors.slice(0, 20), colors.slice(20), []];
+  const code = encodePuzzle(tubes, 20);
+  assert.match(code, /-0001020304/);
+  assert.deepEqual(decodePuzzle(code).puzzle, { tubes, maxBalls: 20, tubeSpecs: null });
+  assert.match(decodePuzzle(code.replace(/\.\.?$/, '.1.')).error, /2 digits per ball/);
+});
+
+test('codes are read from share links and hashes', () => {
+  const code = encodePuzzle(TUBES, 3);
+  assert.equal(readPuzzleCodeFromHash(puzzleHash(TUBES, 3)), code);
+  assert.equal(extractPuzzleCode(`https://example.com/ball-sort/${puzzleHash(TUBES, 3)}`), code);
+  assert.equal(extractPuzzleCode(`  ${code} `), code);
+});
+
+test('bad codes are rejected with a reason', () => {
+  [
+    ['1-3-RD', /sections separated/],
+    ['9-3-RD-000', /unsupported version/],
+    ['1-0-RD-000', /bad capacity/],
+    ['1-3-XX-000', /unknown colour XX/],
+    ['1-3-RD-001', /ball "1"/],
+    ['1-3-RD-000-c3_z1', /bad tube setting "z1"/],
+    ['1-3-RD-000-c3.c3', /do not match the tubes/]
+  ].forEach(([code, error]) => {
+    const result = decodePuzzle(code);
+    assert.equal(result.puzzle, null, code);
+    assert.match(result.error, error, code);
+  });
+});
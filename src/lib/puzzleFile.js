@@ -0,0 +1,53 @@
+import { isValidColor } from './puzzle.js';
+import { decodePuzzle, extractPuzzleCode } from './puzzleCode.js';
+
+// Files of puzzles, as read by the command-line tool (bin/ball-sort.js). A file is
+// either JSON or text:
+//
+//   JSON  one puzzle { tubes, maxBalls, tubeSpecs }, an array of puzzles, or
+//         { puzzles: [...] }; a puzzle may also be given as its code, a string
+//   text  one puzzle code or share link per line; blank lines and lines starting
+//         with "#" are skipped
+
+// Returns { puzzle: { tubes, maxBalls, tubeSpecs }, error: null } or { puzzle: null, error }
+function readPuzzleValue(value) {
+  if (typeof value === 'string') return decodePuzzle(extractPuzzleCode(value));
+  const fail = error => ({ puzzle: null, error: `Invalid puzzle: ${error}` });
+  if (!value || typeof value !== 'object') return fail('expected an object or a puzzle code');
+
+  const { tubes, maxBalls, tubeSpecs = null } = value;
+  if (!Array.isArray(tubes) || !tubes.every(tube => Array.isArray(tube))) return fail('tubes must be an array of arrays');
+  const unknown = [...new Set(tubes.flat())].filter(ball => !isValidColor(ball));
+  if (unknown.length > 0) return fail(`unknown colour ${unknown.join(', ')}`);
+  if (!Number.isInteger(maxBalls) || maxBalls < 1) return fail(`bad capacity "${maxBalls}"`);
+  if (tubeSpecs !== null && (!Array.isArray(tubeSpecs) || tubeSpecs.length !== tubes.length)) {
+    return fail('tubeSpecs must have one entry per tube');
+  }
+  return { puzzle: { tubes, maxBalls, tubeSpecs }, error: null };
+}
+
+// Returns one { label, puzzle, error } per puzzle in the file, label naming where it
+// came from (name:line for text, name[index] for JSON). A file that cannot be read
+// at all gives a single entry with the error.
+export function parsePuzzleFile(text, name = 'input') {
+  const trimmed = text.trim();
+
+  if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+    let data;
+    try {
+      data = JSON.parse(trimmed);
+    } catch (e) {
+      return [{ label: name, puzzle: null, error: `Invalid JSON: ${e.message}` }];
+    }
+    if (!Array.isArray(data) && !Array.isArray(data.puzzles)) return [{ label: name, ...readPuzzleValue(data) }];
+    return (Array.isArray(data) ? data : data.puzzles).map((value, idx) => ({
+      label: `${name}[${idx}]`,
+      ...readPuzzleValue(value)
+    }));
+  }
+
+  return text.split(/\r?\n/)
+    .map((line, idx) => ({ line: line.trim(), number: idx + 1 }))
+    .filter(({ line }) => line && !line.startsWith('#'))
+    .map(({ line, number }) => ({ label: `${name}:${number}`, ...readPuzzleValue(line) }));
+}
@@ -0,0 +1,29 @@
+// Seeded pseudo-random numbers so generated puzzles can be reproduced.
+
+// Seeds may be numbers or arbitrary strings; strings are hashed to 32 bits (FNV-1a)
+function seedToInt(seed) {
+  if (typeof seed === 'number' && Number.isFinite(seed)) return seed >>> 0;
+  let hash = 0x811c9dc5;
+  for (const char of String(seed)) {
+    hash ^= char.codePointAt(0);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+// mulberry32: returns a function with the same contract as Math.random
+export function createRandom(seed) {
+  let state = seedToInt(seed);
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// A short random seed for when the player does not pick one
+export function randomSeed() {
+  return Math.floor(Math.random() * 36 ** 6).toString(36).padStart(6, '0');
+}
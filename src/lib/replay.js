@@ -0,0 +1,171 @@
+import { applyMove, describeMove, isValidColor, tubeCapacity, RULESETS } from './puzzle.js';
+import { createMoveTree, addMove, addLine, undoMove, ancestorOf, jumpTo, pathTo, depthOf } from './moveTree.js';
+
+// A recording of one game, from its starting puzzle to the last thing the player
+// did, saved with the game and exported as JSON:
+//
+//   { format, version, recordedAt, puzzle: { tubes, maxBalls, tubeSpecs }, rules,
+//     mystery, difficulty, events: [{ type, at, ... }] }
+//
+// at is the time in ms since the game started. Events are
+//   move   { move }       a move played
+//   undo   { count }      count moves taken back (default 1)
+//   redo   { move }       the move redo played again
+//   jump   { moves }      a jump to another position, e.g. on the timeline; moves
+//                        is the whole line from the start
+//   reset  {}             back to the start, clearing the hint and undo counts
+//   hint   {}             a hint asked for
+//   rules  { rules, previous }  the ruleset changed
+//   mystery { mystery }  mystery mode switched on or off
+//
+// mystery is the mode the game started in.
+export const REPLAY_FORMAT = 'ball-sort-replay';
+export const REPLAY_VERSION = 1;
+
+export const EVENT_TYPES = ['move', 'undo', 'redo', 'jump', 'reset', 'hint', 'rules', 'mystery'];
+
+// The replay file for a game session (see newSession in App.jsx)
+export function createReplay(session, { rules, difficulty = null }) {
+  const { events } = session;
+  const rulesChange = events.find(event => event.type === 'rules');
+  return {
+    format: REPLAY_FORMAT,
+    version: REPLAY_VERSION,
+    recordedAt: new Date(session.startedAt).toISOString(),
+    puzzle: { tubes: session.initialTubes, maxBalls: session.maxBalls, tubeSpecs: session.tubeSpecs },
+    // Rules the game started with, where the player switched during it
+    rules: rulesChange ? rulesChange.previous : rules,
+    mystery: session.mystery ?? false,
+    difficulty,
+    events
+  };
+}
+
+export function exportReplay(replay) {
+  return JSON.stringify(replay, null, 2);
+}
+
+export function replayFileName(replay) {
+  return `ball-sort-replay-${replay.recordedAt.slice(0, 19).replace(/[:T]/g, '-')}.json`;
+}
+
+// Returns an error message, or null if move can be played on tubes
+function checkMove(move, tubes, maxBalls, tubeSpecs) {
+  const isTube = idx => Number.isInteger(idx) && idx >= 0 && idx < tubes.length;
+  if (!move || !isTube(move.from) || !isTube(move.to) || move.from === move.to) return 'a move between unknown tubes';
+  const count = move.count ?? 1;
+  if (!Number.isInteger(count) || count < 1) return `a move of ${count} balls`;
+  const balls = tubes[move.from].slice(0, count);
+  if (balls.length < count || balls.some(ball => ball !== move.ball)) {
+    return `a move of balls Tube ${move.from + 1} does not have on top`;
+  }
+  if (tubes[move.to].length + count > tubeCapacity(maxBalls, tubeSpecs, move.to)) {
+    return `a move into a full Tube ${move.to + 1}`;
+  }
+  return null;
+}
+
+// Steps through the events, returning { frames, error }. frames[0] is the start and
+// frames[i] the position after events[i - 1]:
+//   { at, event, description, tubes, moveCount, undos, hints, rules }
+// error names the first event that cannot be replayed; frames stop before it.
+export function replayFrames(replay) {
+  const { puzzle: { tubes: startTubes, maxBalls, tubeSpecs } } = replay;
+  let tree = createMoveTree();
+  let frame = {
+    at: 0, event: null, description: 'Start', tubes: startTubes, moveCount: 0, undos: 0, hints: 0, rules: replay.rules
+  };
+  const frames = [frame];
+  const tubesAt = node => pathTo(tree, node).reduce(applyMove, startTubes);
+
+  for (const [idx, event] of replay.events.entries()) {
+    const fail = error => ({ frames, error: `Event ${idx + 1} (${event.type}) is ${error}` });
+    const next = { ...frame, at: event.at, event };
+
+    if (event.type === 'move' || event.type === 'redo') {
+      const error = checkMove(event.move, frame.tubes, maxBalls, tubeSpecs);
+      if (error) return fail(error);
+      tree = addMove(tree, event.move);
+      next.tubes = applyMove(frame.tubes, event.move);
+      next.description = `${event.type === 'redo' ? 'Redo: ' : ''}${describeMove(event.move, frame.tubes)}`;
+    } else if (event.type === 'undo') {
+      const count = event.count ?? 1;
+      if (!Number.isInteger(count) || count < 1 || count > frame.moveCount) return fail('an undo past the start');
+      if (count === 1) {
+        const { move } = tree.nodes[tree.current];
+        tree = undoMove(tree);
+        next.tubes = tubesAt(tree.current);
+        next.description = `Undo: ${describeMove(move, next.tubes)}`;
+      } else {
+        tree = jumpTo(tree, ancestorOf(tree, tree.current, count));
+        next.tubes = tubesAt(tree.current);
+        next.description = `Undo ${count} moves`;
+      }
+      next.undos = frame.undos + count;
+    } else if (event.type === 'jump') {
+      if (!Array.isArray(event.moves)) return fail('missing its moves');
+      let tubes = startTubes;
+      for (const move of event.moves) {
+        const error = checkMove(move, tubes, maxBalls, tubeSpecs);
+        if (error) return fail(error);
+        tubes = applyMove(tubes, move);
+      }
+      tree = addLine(tree, event.moves);
+      next.tubes = tubes;
+      next.description = `Jump to move ${event.moves.length}`;
+    } else if (event.type === 'reset') {
+      tree = jumpTo(tree, 0);
+      Object.assign(next, { tubes: startTubes, undos: 0, hints: 0, description: 'Reset to the start' });
+    } else if (event.type === 'hint') {
+      next.hints = frame.hints + 1;
+      next.description = 'Asked for a hint';
+    } else if (event.type === 'rules') {
+      next.rules = event.rules;
+      next.description = `Switched to ${RULESETS[event.rules]?.label ?? event.rules} rules`;
+    } else if (event.type === 'mystery') {
+      next.description = `Mystery mode ${event.mystery ? 'on' : 'off'}`;
+    } else {
+      return fail('of an unknown type');
+    }
+
+    next.moveCount = depthOf(tree, tree.current);
+    frame = next;
+    frames.push(frame);
+  }
+  return { frames, error: null };
+}
+
+// Reads an exported replay. Returns { replay, error: null } or { replay: null, error }.
+export function parseReplay(text) {
+  const fail = error => ({ replay: null, error: `Invalid replay: ${error}` });
+  let replay;
+  try {
+    replay = JSON.parse(text);
+  } catch {
+    return fail('not a JSON file');
+  }
+  if (replay?.format !== REPLAY_FORMAT) return fail('not a ball sort replay');
+  if (replay.version !== REPLAY_VERSION) return fail(`unsupported version "${replay.version}"`);
+
+  const { tubes, maxBalls, tubeSpecs = null } = replay.puzzle ?? {};
+  if (!Array.isArray(tubes) || !tubes.every(tube => Array.isArray(tube) && tube.every(isValidColor))) {
+    return fail('the puzzle has unknown tubes or colours');
+  }
+  if (!Number.isInteger(maxBalls) || maxBalls < 1) return fail(`bad capacity "${maxBalls}"`);
+  if (tubeSpecs !== null && (!Array.isArray(tubeSpecs) || tubeSpecs.length !== tubes.length)) {
+    return fail('tube settings do not match the tubes');
+  }
+  if (!Array.isArray(replay.events)) return fail('no events');
+  if (replay.events.some(event => !EVENT_TYPES.includes(event?.type) || !(event.at >= 0))) {
+    return fail('unknown or untimed events');
+  }
+
+  const parsed = {
+    ...replay,
+    puzzle: { tubes, maxBalls, tubeSpecs },
+    rules: replay.rules ?? 'single',
+    recordedAt: replay.recordedAt ?? new Date(0).toISOString()
+  };
+  const { error } = replayFrames(parsed);
+  return error ? fail(error) : { replay: parsed, error: null };
+}
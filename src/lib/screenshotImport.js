@@ -0,0 +1,316 @@
+import { COLORS, customColorCode } from './puzzle.js';
+
+// Reads a ball-sort level out of a screenshot of another game. Works on ImageData
+// ({ width, height, data } RGBA), so the analysis itself runs anywhere:
+//   1. split the image into small cells and keep the solid ones that stand out
+//      from the background colour
+//   2. join neighbouring cells of similar colour into blobs and keep the round,
+//      equally sized ones as balls (stacks of touching same-coloured balls are split)
+//   3. group balls into tubes by column, and tubes into rows by their bottom edge
+//   4. find empty tubes from the spacing of each row and outline pixels at the gaps
+//   5. cluster the ball colours and match each cluster to the nearest COLORS entry,
+//      falling back to a custom colour when nothing built-in is close enough
+
+// Images are scaled down to this width before analysis
+export const MAX_IMAGE_WIDTH = 1200;
+
+const CELLS_ACROSS = 150;
+// Colour distances (redmean metric, 0-765)
+const SOLID_SPREAD = 40;
+const BACKGROUND_DISTANCE = 70;
+const JOIN_DISTANCE = 45;
+const CLUSTER_DISTANCE = 60;
+const MATCH_DISTANCE = 130;
+// Share of rows crossing a tube wall that marks an empty tube's outline
+const OUTLINE_COVERAGE = 0.6;
+
+// Perceptual-ish RGB distance ("redmean")
+function colorDistance([r1, g1, b1], [r2, g2, b2]) {
+  const rMean = (r1 + r2) / 2;
+  const dr = r1 - r2;
+  const dg = g1 - g2;
+  const db = b1 - b2;
+  return Math.sqrt((2 + rMean / 256) * dr * dr + 4 * dg * dg + (2 + (255 - rMean) / 256) * db * db);
+}
+
+function toHex(rgb) {
+  return `#${rgb.map(v => Math.round(v).toString(16).padStart(2, '0')).join('')}`.toUpperCase();
+}
+
+function hexToRgb(hex) {
+  return [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16));
+}
+
+function pixelAt({ width, data }, x, y) {
+  const i = (y * width + x) * 4;
+  return [data[i], data[i + 1], data[i + 2]];
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+}
+
+// Mean colour of every cell and whether it is a single solid colour
+function measureCells(image, cellSize) {
+  const cols = Math.floor(image.width / cellSize);
+  const rows = Math.floor(image.height / cellSize);
+  const cells = [];
+
+  for (let row = 0; row < rows; row++) {
+    for (let col = 0; col < cols; col++) {
+      const pixels = [];
+      for (let y = row * cellSize; y < (row + 1) * cellSize; y++) {
+        for (let x = col * cellSize; x < (col + 1) * cellSize; x++) {
+          pixels.push(pixelAt(image, x, y));
+        }
+      }
+      const mean = [0, 1, 2].map(c => pixels.reduce((sum, p) => sum + p[c], 0) / pixels.length);
+      const spread = Math.max(...pixels.map(p => colorDistance(p, mean)));
+      cells.push({ col, row, mean, solid: spread < SOLID_SPREAD });
+    }
+  }
+
+  return { cols, rows, cells };
+}
+
+// The most common (coarsely quantised) colour around the image border
+function findBackground({ cols, rows, cells }) {
+  const counts = new Map();
+  cells.forEach(cell => {
+    if (cell.col !== 0 && cell.row !== 0 && cell.col !== cols - 1 && cell.row !== rows - 1) return;
+    const key = cell.mean.map(v => Math.round(v / 16)).join(',');
+    const entry = counts.get(key) || { count: 0, sum: [0, 0, 0] };
+    entry.count++;
+    cell.mean.forEach((v, c) => { entry.sum[c] += v; });
+    counts.set(key, entry);
+  });
+  const best = [...counts.values()].reduce((a, b) => (b.count > a.count ? b : a));
+  return best.sum.map(v => v / best.count);
+}
+
+// Connected groups of foreground cells with similar colours
+function findBlobs({ cols, rows, cells }, background) {
+  const foreground = cells.map(cell => cell.solid && colorDistance(cell.mean, background) > BACKGROUND_DISTANCE);
+  const seen = new Uint8Array(cells.length);
+  const blobs = [];
+
+  for (let start = 0; start < cells.length; start++) {
+    if (!foreground[start] || seen[start]) continue;
+    seen[start] = 1;
+    const members = [start];
+    for (let i = 0; i < members.length; i++) {
+      const { col, row, mean } = cells[members[i]];
+      [[col + 1, row], [col - 1, row], [col, row + 1], [col, row - 1]].forEach(([c, r]) => {
+        if (c < 0 || r < 0 || c >= cols || r >= rows) return;
+        const next = r * cols + c;
+        if (!foreground[next] || seen[next] || colorDistance(cells[next].mean, mean) > JOIN_DISTANCE) return;
+        seen[next] = 1;
+        members.push(next);
+      });
+    }
+
+    const memberCells = members.map(i => cells[i]);
+    const minCol = Math.min(...memberCells.map(c => c.col));
+    const maxCol = Math.max(...memberCells.map(c => c.col));
+    const minRow = Math.min(...memberCells.map(c => c.row));
+    const maxRow = Math.max(...memberCells.map(c => c.row));
+    const color = [0, 1, 2].map(c => memberCells.reduce((sum, cell) => sum + cell.mean[c], 0) / memberCells.length);
+    blobs.push({ minCol, minRow, width: maxCol - minCol + 1, height: maxRow - minRow + 1, size: members.length, color });
+  }
+
+  return blobs;
+}
+
+// Round blobs become balls; a blob k ball-widths tall is k touching balls
+function findBalls(blobs, cellSize) {
+  const isRoundish = blob => {
+    const stack = Math.max(1, Math.round(blob.height / blob.width));
+    const fill = blob.size / (blob.width * blob.height);
+    return blob.width >= 3 && Math.abs(blob.height / blob.width - stack) < 0.35 && fill > 0.5 && fill < 0.95;
+  };
+  const candidates = blobs.filter(isRoundish);
+  if (candidates.length === 0) return { balls: [], diameter: 0 };
+
+  const diameter = median(candidates.map(blob => blob.width));
+  const balls = [];
+  candidates
+    .filter(blob => blob.width > diameter * 0.7 && blob.width < diameter * 1.3)
+    .forEach(blob => {
+      const stack = Math.max(1, Math.round(blob.height / blob.width));
+      const ballHeight = blob.height / stack;
+      for (let i = 0; i < stack; i++) {
+        balls.push({
+          x: (blob.minCol + blob.width / 2) * cellSize,
+          y: (blob.minRow + ballHeight * (i + 0.5)) * cellSize,
+          color: blob.color
+        });
+      }
+    });
+
+  return { balls, diameter: diameter * cellSize };
+}
+
+// Columns of balls with small vertical gaps form a tube; tubes whose bottom balls
+// line up form a row
+function groupTubes(balls, diameter) {
+  const columns = [];
+  [...balls].sort((a, b) => a.x - b.x).forEach(ball => {
+    const column = columns.find(c => Math.abs(c.x - ball.x) < diameter / 2);
+    if (column) column.balls.push(ball);
+    else columns.push({ x: ball.x, balls: [ball] });
+  });
+
+  const tubes = [];
+  columns.forEach(column => {
+    let current = null;
+    column.balls.sort((a, b) => a.y - b.y).forEach(ball => {
+      if (!current || ball.y - current.balls[current.balls.length - 1].y > diameter * 1.6) {
+        current = { x: column.x, balls: [] };
+        tubes.push(current);
+      }
+      current.balls.push(ball);
+    });
+  });
+  tubes.forEach(tube => { tube.bottom = tube.balls[tube.balls.length - 1].y; });
+
+  const rows = [];
+  [...tubes].sort((a, b) => a.bottom - b.bottom).forEach(tube => {
+    const row = rows.find(r => Math.abs(r.bottom - tube.bottom) < diameter);
+    if (row) row.tubes.push(tube);
+    else rows.push({ bottom: tube.bottom, tubes: [tube] });
+  });
+  rows.forEach(row => row.tubes.sort((a, b) => a.x - b.x));
+  return rows;
+}
+
+// Share of the pixel rows in a box that contain anything other than background;
+// the walls of a tube mark nearly every row even when it holds no balls
+function outlineCoverage(image, background, left, top, right, bottom) {
+  const x0 = Math.max(0, Math.round(left));
+  const y0 = Math.max(0, Math.round(top));
+  const x1 = Math.min(image.width - 1, Math.round(right));
+  const y1 = Math.min(image.height - 1, Math.round(bottom));
+  if (x1 <= x0 || y1 <= y0) return 0;
+
+  const step = Math.max(1, Math.floor((y1 - y0) / 40));
+  let total = 0;
+  let marked = 0;
+  for (let y = y0; y <= y1; y += step) {
+    total++;
+    for (let x = x0; x <= x1; x++) {
+      if (colorDistance(pixelAt(image, x, y), background) > BACKGROUND_DISTANCE) {
+        marked++;
+        break;
+      }
+    }
+  }
+  return marked / total;
+}
+
+// Inserts empty tubes where a row's spacing leaves a gap (or room at either end)
+// and the image shows a tube outline there
+function addEmptyTubes(rows, image, background, diameter, capacity) {
+  const gaps = rows.flatMap(row => row.tubes.slice(1).map((tube, i) => tube.x - row.tubes[i].x));
+  const spacing = Math.min(...gaps.filter(gap => gap > diameter * 0.9), Infinity);
+  if (!Number.isFinite(spacing)) return rows.map(row => row.tubes.map(tube => tube.balls));
+  // Wide enough to take in the tube walls, narrow enough to miss the neighbours
+  const halfWidth = Math.min(diameter, spacing * 0.45);
+
+  return rows.map(row => {
+    const looksLikeTube = x => outlineCoverage(
+      image, background,
+      x - halfWidth, row.bottom - diameter * (capacity - 0.5), x + halfWidth, row.bottom
+    ) > OUTLINE_COVERAGE;
+
+    const slots = [];
+    for (let x = row.tubes[0].x - spacing; x - halfWidth >= 0 && looksLikeTube(x); x -= spacing) {
+      slots.unshift([]);
+    }
+    row.tubes.forEach((tube, i) => {
+      if (i > 0) {
+        const missing = Math.round((tube.x - row.tubes[i - 1].x) / spacing) - 1;
+        for (let k = 1; k <= missing; k++) {
+          if (looksLikeTube(row.tubes[i - 1].x + spacing * k)) slots.push([]);
+        }
+      }
+      slots.push(tube.balls);
+    });
+    const last = row.tubes[row.tubes.length - 1].x;
+    for (let x = last + spacing; x + halfWidth < image.width && looksLikeTube(x); x += spacing) {
+      slots.push([]);
+    }
+    return slots;
+  }).flat();
+}
+
+// Groups similar ball colours, then gives each group the closest unused built-in
+// colour, or a custom colour if none is close enough
+function assignColors(balls) {
+  const clusters = [];
+  balls.forEach(ball => {
+    let cluster = clusters.find(c => colorDistance(c.color, ball.color) < CLUSTER_DISTANCE);
+    if (!cluster) {
+      cluster = { color: ball.color, balls: [] };
+      clusters.push(cluster);
+    }
+    cluster.balls.push(ball);
+    cluster.color = [0, 1, 2].map(c => cluster.balls.reduce((sum, b) => sum + b.color[c], 0) / cluster.balls.length);
+  });
+
+  const pairs = clusters.flatMap(cluster => Object.entries(COLORS).map(([code, { hex }]) => ({
+    cluster, code, distance: colorDistance(cluster.color, hexToRgb(hex))
+  })));
+  pairs.sort((a, b) => a.distance - b.distance);
+  const used = new Set();
+  pairs.forEach(({ cluster, code, distance }) => {
+    if (cluster.code || used.has(code) || distance > MATCH_DISTANCE) return;
+    cluster.code = code;
+    used.add(code);
+  });
+
+  return clusters.map(cluster => {
+    const code = cluster.code || customColorCode(toHex(cluster.color));
+    cluster.balls.forEach(ball => { ball.code = code; });
+    return { code, hex: toHex(cluster.color), count: cluster.balls.length, custom: !cluster.code };
+  });
+}
+
+// Returns { tubes, maxBalls, colors, emptyTubes } on success or { error }. tubes
+// list balls top first, in reading order (rows top to bottom, left to right).
+export function detectPuzzle(image) {
+  const cellSize = Math.max(2, Math.round(Math.min(image.width, image.height) / CELLS_ACROSS));
+  const grid = measureCells(image, cellSize);
+  if (grid.cells.length === 0) return { error: 'The image is too small' };
+
+  const background = findBackground(grid);
+  const { balls, diameter } = findBalls(findBlobs(grid, background), cellSize);
+  if (balls.length === 0) return { error: 'No balls found in the image' };
+
+  const colors = assignColors(balls);
+  const rows = groupTubes(balls, diameter);
+  const maxBalls = Math.max(...rows.flatMap(row => row.tubes.map(tube => tube.balls.length)));
+  const tubes = addEmptyTubes(rows, image, background, diameter, maxBalls)
+    .map(tubeBalls => tubeBalls.map(ball => ball.code));
+
+  return {
+    tubes,
+    maxBalls,
+    colors,
+    emptyTubes: tubes.filter(tube => tube.length === 0).length
+  };
+}
+
+// Draws an image file (or pasted blob) onto a canvas, scaled down to
+// MAX_IMAGE_WIDTH, and returns its pixels. Browser only.
+export async function readImageData(blob) {
+  const bitmap = await createImageBitmap(blob);
+  const scale = Math.min(1, MAX_IMAGE_WIDTH / bitmap.width);
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.round(bitmap.width * scale);
+  canvas.height = Math.round(bitmap.height * scale);
+  const context = canvas.getContext('2d', { willReadFrequently: true });
+  context.drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+  bitmap.close();
+  return context.getImageData(0, 0, canvas.width, canvas.height);
+}
@@ -0,0 +1,464 @@
+import { validatePuzzle, getNextStates, isSolved } from './puzzle.js';
+import { MinHeap } from './heap.js';
+import { Deque } from './deque.js';
+import {
+  createStateEncoder,
+  describeEncoding,
+  estimateStateBytes,
+  NODE_BYTES,
+  ENTRY_BYTES
+} from './stateEncoding.js';
+
+const PROGRESS_INTERVAL = 10000;
+const MEMORY_CHECK_INTERVAL = 1000;
+const MEMORY_LIMIT_REASON = 'Memory limit exceeded';
+
+export const ALGORITHMS = {
+  bfs: { label: 'BFS (optimal)' },
+  astar: { label: 'A*' },
+  idastar: { label: 'IDA*' }
+};
+
+// Lower bound on the moves still needed: every ball resting on a different colour
+// has to move at least once, and when a colour forms the bottom run of several
+// tubes, all of those runs but the longest have to be lifted out as well.
+// Under the pour rules one move can carry a whole run, so runs are counted instead.
+export function estimateMovesLeft(tubes, rules = 'single') {
+  if (rules === 'pour') return estimateRunsLeft(tubes);
+  let misplaced = 0;
+  const bottomRuns = {};
+
+  for (const tube of tubes) {
+    if (tube.length === 0) continue;
+    const bottom = tube[tube.length - 1];
+    let run = 1;
+    while (run < tube.length && tube[tube.length - 1 - run] === bottom) run++;
+    misplaced += tube.length - run;
+    (bottomRuns[bottom] = bottomRuns[bottom] || []).push(run);
+  }
+
+  let scattered = 0;
+  Object.values(bottomRuns).forEach(runs => {
+    if (runs.length > 1) {
+      scattered += runs.reduce((sum, run) => sum + run, 0) - Math.max(...runs);
+    }
+  });
+
+  return misplaced + scattered;
+}
+
+function estimateRunsLeft(tubes) {
+  let misplaced = 0;
+  const bottomRuns = {};
+
+  for (const tube of tubes) {
+    if (tube.length === 0) continue;
+    for (let i = 1; i < tube.length; i++) {
+      if (tube[i] !== tube[i - 1]) misplaced++;
+    }
+    const bottom = tube[tube.length - 1];
+    bottomRuns[bottom] = (bottomRuns[bottom] || 0) + 1;
+  }
+
+  const scattered = Object.values(bottomRuns).reduce((sum, tubeCount) => sum + tubeCount - 1, 0);
+  return misplaced + scattered;
+}
+
+// Tubes holding more than one colour; used to break ties between equally promising states
+export function countMixedTubes(tubes) {
+  return tubes.filter(tube => tube.some(ball => ball !== tube[0])).length;
+}
+
+function createSearchStats(algorithm) {
+  return {
+    algorithm,
+    startTime: new Date().toISOString(),
+    endTime: null,
+    totalStatesExplored: 0,
+    maxQueueSize: 1,
+    searchDuration: 0,
+    statesPerSecond: 0,
+    queueSizeHistory: [],
+    estimatedMemoryBytes: 0,
+    peakMemoryBytes: 0,
+    reason: null
+  };
+}
+
+// Rough heap cost of a search: a key, map entry and parent-pointer node per visited
+// state, plus the tube arrays that frontier nodes still hold
+function estimateSearchBytes(encoder, visitedStates, frontierSize, stateBytes) {
+  return visitedStates * (encoder.bytesPerKey + ENTRY_BYTES + NODE_BYTES) + frontierSize * stateBytes;
+}
+
+function recordMemory(searchStats, bytes) {
+  searchStats.estimatedMemoryBytes = bytes;
+  searchStats.peakMemoryBytes = Math.max(searchStats.peakMemoryBytes, bytes);
+}
+
+// Walks parent pointers back to the root to rebuild the move list
+function tracePath(node) {
+  const moves = [];
+  for (let n = node; n.parent; n = n.parent) moves.push(n.move);
+  return moves.reverse();
+}
+
+function updateProgress(searchStats, startTime, queueSize, onProgress) {
+  const duration = (Date.now() - startTime) / 1000;
+  searchStats.searchDuration = duration;
+  searchStats.statesPerSecond = duration > 0 ? Math.round(searchStats.totalStatesExplored / duration) : 0;
+  searchStats.queueSizeHistory.push(queueSize);
+  if (onProgress) onProgress(progressSnapshot(searchStats, queueSize));
+}
+
+function finishSearchStats(searchStats, startTime, reason, encoder, visitedStates) {
+  const duration = (Date.now() - startTime) / 1000;
+  searchStats.endTime = new Date().toISOString();
+  searchStats.searchDuration = duration;
+  searchStats.statesPerSecond = duration > 0 ? Math.round(searchStats.totalStatesExplored / duration) : 0;
+  searchStats.reason = searchStats.reason || reason;
+  searchStats.stateEncoding = describeEncoding(encoder, visitedStates);
+  return searchStats;
+}
+
+// Snapshot of the running statistics that is cheap to post across threads
+function progressSnapshot(searchStats, queueSize) {
+  return {
+    algorithm: searchStats.algorithm,
+    totalStatesExplored: searchStats.totalStatesExplored,
+    statesPerSecond: searchStats.statesPerSecond,
+    searchDuration: searchStats.searchDuration,
+    maxQueueSize: searchStats.maxQueueSize,
+    estimatedMemoryBytes: searchStats.estimatedMemoryBytes,
+    queueSize
+  };
+}
+
+function invalidResult(algorithm, validation) {
+  return {
+    algorithm,
+    solvable: false,
+    moves: [],
+    error: 'Invalid puzzle state:',
+    validation,
+    searchStats: null
+  };
+}
+
+export function solvePuzzleBFS(initialTubes, maxBalls, {
+  maxMoves = 25000000,
+  timeLimit = 600000,
+  encoding = 'canonical',
+  rules = 'single',
+  tubeSpecs = null,
+  memoryLimit = null,
+  onProgress
+} = {}) {
+  const validation = validatePuzzle(initialTubes, maxBalls, tubeSpecs);
+  if (!validation.valid) return invalidResult('bfs', validation);
+
+  const encoder = createStateEncoder(initialTubes, maxBalls, { canonical: encoding === 'canonical', tubeSpecs });
+  const stateBytes = estimateStateBytes(initialTubes);
+  const queue = new Deque();
+  queue.push({ tubes: initialTubes, parent: null, move: null });
+  const visited = new Set([encoder.encode(initialTubes)]);
+  let moveCount = 0;
+  const startTime = Date.now();
+  const searchStats = createSearchStats('bfs');
+  searchStats.memoryLimit = memoryLimit;
+
+  while (queue.size > 0 && moveCount < maxMoves) {
+    if (Date.now() - startTime > timeLimit) {
+      searchStats.reason = 'Time limit exceeded';
+      break;
+    }
+
+    const node = queue.shift();
+    const { tubes } = node;
+    // Expanded nodes only need to keep their move and parent for path reconstruction
+    node.tubes = null;
+    moveCount++;
+    searchStats.totalStatesExplored++;
+    searchStats.maxQueueSize = Math.max(searchStats.maxQueueSize, queue.size);
+
+    if (moveCount % MEMORY_CHECK_INTERVAL === 0) {
+      recordMemory(searchStats, estimateSearchBytes(encoder, visited.size, queue.size, stateBytes));
+      if (memoryLimit && searchStats.estimatedMemoryBytes > memoryLimit) {
+        searchStats.reason = MEMORY_LIMIT_REASON;
+        break;
+      }
+    }
+
+    if (moveCount % PROGRESS_INTERVAL === 0) {
+      updateProgress(searchStats, startTime, queue.size, onProgress);
+    }
+
+    if (isSolved(tubes, maxBalls, tubeSpecs)) {
+      recordMemory(searchStats, estimateSearchBytes(encoder, visited.size, queue.size, stateBytes));
+      return {
+        algorithm: 'bfs',
+        solvable: true,
+        moves: tracePath(node),
+        moveCount,
+        statesExplored: visited.size,
+        searchStats: finishSearchStats(searchStats, startTime, 'Solution found', encoder, visited.size)
+      };
+    }
+
+    const nextStates = getNextStates(tubes, maxBalls, { rules, tubeSpecs });
+    for (const { nextTubes, move } of nextStates) {
+      const serialized = encoder.encode(nextTubes);
+      if (!visited.has(serialized)) {
+        visited.add(serialized);
+        queue.push({ tubes: nextTubes, parent: node, move });
+      }
+    }
+  }
+
+  finishSearchStats(searchStats, startTime, moveCount >= maxMoves ? 'Exceeded maximum moves' : 'No solution found', encoder, visited.size);
+
+  return {
+    algorithm: 'bfs',
+    solvable: false,
+    moves: [],
+    error: searchStats.reason,
+    statesExplored: visited.size,
+    searchStats
+  };
+}
+
+// A* over the same move graph as BFS. The heuristic never overestimates, so the
+// first solved state popped is an optimal solution, found after far fewer expansions.
+export function solvePuzzleAStar(initialTubes, maxBalls, {
+  maxMoves = 25000000,
+  timeLimit = 600000,
+  encoding = 'canonical',
+  rules = 'single',
+  tubeSpecs = null,
+  memoryLimit = null,
+  onProgress
+} = {}) {
+  const validation = validatePuzzle(initialTubes, maxBalls, tubeSpecs);
+  if (!validation.valid) return invalidResult('astar', validation);
+
+  const encoder = createStateEncoder(initialTubes, maxBalls, { canonical: encoding === 'canonical', tubeSpecs });
+  const compare = (a, b) => (a.f - b.f) || (a.h - b.h) || (a.mixed - b.mixed);
+  const open = new MinHeap(compare);
+  const bestCost = new Map();
+  const stateBytes = estimateStateBytes(initialTubes);
+  const makeNode = (tubes, g, parent, move) => {
+    const h = estimateMovesLeft(tubes, rules);
+    return { tubes, g, h, f: g + h, mixed: countMixedTubes(tubes), parent, move };
+  };
+
+  open.push(makeNode(initialTubes, 0, null, null));
+  bestCost.set(encoder.encode(initialTubes), 0);
+  let moveCount = 0;
+  const startTime = Date.now();
+  const searchStats = createSearchStats('astar');
+  searchStats.memoryLimit = memoryLimit;
+
+  while (open.size > 0 && moveCount < maxMoves) {
+    if (Date.now() - startTime > timeLimit) {
+      searchStats.reason = 'Time limit exceeded';
+      break;
+    }
+
+    const node = open.pop();
+    const { tubes, g } = node;
+    node.tubes = null;
+    // Skip entries superseded by a cheaper route to the same state
+    if (bestCost.get(encoder.encode(tubes)) < g) continue;
+
+    moveCount++;
+    searchStats.totalStatesExplored++;
+    searchStats.maxQueueSize = Math.max(searchStats.maxQueueSize, open.size);
+
+    if (moveCount % MEMORY_CHECK_INTERVAL === 0) {
+      recordMemory(searchStats, estimateSearchBytes(encoder, bestCost.size, open.size, stateBytes));
+      if (memoryLimit && searchStats.estimatedMemoryBytes > memoryLimit) {
+        searchStats.reason = MEMORY_LIMIT_REASON;
+        break;
+      }
+    }
+
+    if (moveCount % PROGRESS_INTERVAL === 0) {
+      updateProgress(searchStats, startTime, open.size, onProgress);
+    }
+
+    if (isSolved(tubes, maxBalls, tubeSpecs)) {
+      recordMemory(searchStats, estimateSearchBytes(encoder, bestCost.size, open.size, stateBytes));
+      return {
+        algorithm: 'astar',
+        solvable: true,
+        moves: tracePath(node),
+        moveCount,
+        statesExplored: bestCost.size,
+        searchStats: finishSearchStats(searchStats, startTime, 'Solution found', encoder, bestCost.size)
+      };
+    }
+
+    for (const { nextTubes, move } of getNextStates(tubes, maxBalls, { rules, tubeSpecs })) {
+      const serialized = encoder.encode(nextTubes);
+      const known = bestCost.get(serialized);
+      if (known === undefined || g + 1 < known) {
+        bestCost.set(serialized, g + 1);
+        open.push(makeNode(nextTubes, g + 1, node, move));
+      }
+    }
+  }
+
+  finishSearchStats(searchStats, startTime, moveCount >= maxMoves ? 'Exceeded maximum moves' : 'No solution found', encoder, bestCost.size);
+
+  return {
+    algorithm: 'astar',
+    solvable: false,
+    moves: [],
+    error: searchStats.reason,
+    statesExplored: bestCost.size,
+    searchStats
+  };
+}
+
+// Iterative-deepening A*: depth-first probes bounded by f = g + h, raising the bound
+// to the smallest overrun after each pass. Memory stays proportional to the path
+// length plus a bounded transposition table, at the cost of re-expanding states.
+// A memory limit shrinks the table instead of aborting the search.
+export function solvePuzzleIDAStar(initialTubes, maxBalls, {
+  maxMoves = 25000000,
+  timeLimit = 600000,
+  maxTableSize = 2000000,
+  encoding = 'canonical',
+  rules = 'single',
+  tubeSpecs = null,
+  memoryLimit = null,
+  onProgress
+} = {}) {
+  const validation = validatePuzzle(initialTubes, maxBalls, tubeSpecs);
+  if (!validation.valid) return invalidResult('idastar', validation);
+
+  const encoder = createStateEncoder(initialTubes, maxBalls, { canonical: encoding === 'canonical', tubeSpecs });
+  const FOUND = -1;
+  const startTime = Date.now();
+  const searchStats = createSearchStats('idastar');
+  searchStats.iterations = 0;
+  searchStats.memoryLimit = memoryLimit;
+  const tableLimit = memoryLimit
+    ? Math.min(maxTableSize, Math.floor(memoryLimit / (encoder.bytesPerKey + ENTRY_BYTES)))
+    : maxTableSize;
+  const path = [];
+  const onPath = new Set([encoder.encode(initialTubes)]);
+  let table = new Map();
+  let moveCount = 0;
+  let stopReason = null;
+
+  const search = (tubes, g, bound) => {
+    const h = estimateMovesLeft(tubes, rules);
+    const f = g + h;
+    if (f > bound) return f;
+    if (isSolved(tubes, maxBalls, tubeSpecs)) return FOUND;
+
+    moveCount++;
+    searchStats.totalStatesExplored++;
+    if (moveCount % PROGRESS_INTERVAL === 0) {
+      recordMemory(searchStats, table.size * (encoder.bytesPerKey + ENTRY_BYTES));
+      updateProgress(searchStats, startTime, path.length, onProgress);
+      if (Date.now() - startTime > timeLimit) stopReason = 'Time limit exceeded';
+    }
+    if (moveCount >= maxMoves) stopReason = 'Exceeded maximum moves';
+    if (stopReason) return Infinity;
+
+    const children = getNextStates(tubes, maxBalls, { rules, tubeSpecs })
+      .map(child => ({ ...child, key: encoder.encode(child.nextTubes), h: estimateMovesLeft(child.nextTubes, rules) }))
+      .sort((a, b) => a.h - b.h);
+
+    let min = Infinity;
+    for (const { nextTubes, move, key } of children) {
+      if (onPath.has(key)) continue;
+      // Already reached at this depth or shallower during this pass
+      const seen = table.get(key);
+      if (seen !== undefined && seen <= g + 1) continue;
+      if (table.size < tableLimit) table.set(key, g + 1);
+
+      onPath.add(key);
+      path.push(move);
+      searchStats.maxQueueSize = Math.max(searchStats.maxQueueSize, path.length);
+
+      const t = search(nextTubes, g + 1, bound);
+      if (t === FOUND) return FOUND;
+
+      path.pop();
+      onPath.delete(key);
+      if (stopReason) return Infinity;
+      if (t < min) min = t;
+    }
+    return min;
+  };
+
+  let bound = estimateMovesLeft(initialTubes, rules);
+  for (;;) {
+    searchStats.iterations++;
+    table = new Map();
+    const t = search(initialTubes, 0, bound);
+    recordMemory(searchStats, table.size * (encoder.bytesPerKey + ENTRY_BYTES));
+
+    if (t === FOUND) {
+      return {
+        algorithm: 'idastar',
+        solvable: true,
+        moves: [...path],
+        moveCount,
+        statesExplored: searchStats.totalStatesExplored,
+        searchStats: finishSearchStats(searchStats, startTime, 'Solution found', encoder, table.size)
+      };
+    }
+    if (stopReason || t === Infinity) break;
+    bound = t;
+  }
+
+  finishSearchStats(searchStats, startTime, stopReason || 'No solution found', encoder, table.size);
+
+  return {
+    algorithm: 'idastar',
+    solvable: false,
+    moves: [],
+    error: searchStats.reason,
+    statesExplored: searchStats.totalStatesExplored,
+    searchStats
+  };
+}
+
+const SOLVERS = {
+  bfs: solvePuzzleBFS,
+  astar: solvePuzzleAStar,
+  idastar: solvePuzzleIDAStar
+};
+
+// What canonical keys saved over the same search keyed by tube order. States are
+// counted; key memory is estimated from the visited counts, against the original
+// serializeTubes strings. orderedStoppedEarly is the limit the ordered search hit
+// before reaching the canonical search's outcome, if any; the savings are then at
+// least the figures given.
+function compareEncodings(ordered, canonical) {
+  const reduction = (before, after) => (before > 0 ? 1 - after / before : 0);
+  return {
+    orderedStatesExplored: ordered.totalStatesExplored,
+    statesExploredReduction: reduction(ordered.totalStatesExplored, canonical.totalStatesExplored),
+    orderedKeyBytes: ordered.stateEncoding.legacyEstimatedKeyBytes,
+    keyMemoryReduction: reduction(ordered.stateEncoding.legacyEstimatedKeyBytes, canonical.stateEncoding.estimatedKeyBytes),
+    orderedStoppedEarly: ordered.reason === canonical.reason ? null : ordered.reason
+  };
+}
+
+// With compareEncodings the search is run a second time with tube-order keys, and
+// the measured savings are added as searchStats.encodingComparison
+export function solvePuzzle(initialTubes, maxBalls, { algorithm = 'bfs', compareEncodings: compare = false, ...options } = {}) {
+  const solver = SOLVERS[algorithm];
+  if (!solver) throw new Error(`Unknown solver algorithm: ${algorithm}`);
+  const result = solver(initialTubes, maxBalls, options);
+  if (!compare || !result.searchStats || options.encoding === 'ordered') return result;
+
+  const ordered = solver(initialTubes, maxBalls, { ...options, encoding: 'ordered' });
+  result.searchStats.encodingComparison = compareEncodings(ordered.searchStats, result.searchStats);
+  return result;
+}
@@ -0,0 +1,69 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { solvePuzzle, solvePuzzleBFS, estimateMovesLeft, ALGORITHMS } from './solver.js';
+import { applyMove, isSolved } from './puzzle.js';
+
+const PUZZLE = [['RD', 'LB', 'OR'], ['LB', 'OR', 'RD'], ['OR', 'RD', 'LB'], [], []];
+
+test('finds the shortest solution', () => {
+  const result = solvePuzzleBFS([['RD', 'LB'], ['LB', 'RD'], []], 2);
+  assert.equal(result.solvable, true);
+  assert.equal(result.moves.length, 3);
+  assert.equal(result.searchStats.reason, 'Solution found');
+});
+
+test('returns moves that solve the puzzle', () => {
+  Object.keys(ALGORITHMS).forEach(algorithm => {
+    const { moves } = solvePuzzle(PUZZLE, 3, { algorithm });
+    assert.equal(isSolved(moves.reduce(applyMove, PUZZLE), 3), true, algorithm);
+  });
+});
+
+test('needs no moves for a solved puzzle', () => {
+  const result = solvePuzzleBFS([['RD', 'RD'], ['LB', 'LB'], []], 2);
+  assert.equal(result.solvable, true);
+  assert.deepEqual(result.moves, []);
+});
+
+test('reports a puzzle with no solution', () => {
+  const result = solvePuzzleBFS([['RD', 'LB'], ['LB', 'RD']], 2);
+  assert.equal(result.solvable, false);
+  assert.equal(result.error, 'No solution found');
+});
+
+test('rejects an invalid puzzle without searching', () => {
+  const result = solvePuzzleBFS([['RD', 'RD', 'RD'], []], 2);
+  assert.equal(result.solvable, false);
+  assert.equal(result.validation.valid, false);
+  assert.equal(result.searchStats, null);
+});
+
+test('every algorithm solves the puzzle, IDA* optimally', () => {
+  const optimal = solvePuzzle(PUZZLE, 3, { algorithm: 'bfs' }).moves.length;
+  Object.keys(ALGORITHMS).forEach(algorithm => {
+    const result = solvePuzzle(PUZZLE, 3, { algorithm });
+    assert.equal(result.solvable, true, algorithm);
+    assert.ok(result.moves.length >= optimal, algorithm);
+    if (algorithm === 'idastar') assert.equal(result.moves.length, optimal);
+  });
+});
+
+test('the A* estimate never overshoots', () => {
+  const optimal = solvePuzzle(PUZZLE, 3, { algorithm: 'bfs' }).moves.length;
+  assert.ok(estimateMovesLeft(PUZZLE) <= optimal);
+  assert.equal(estimateMovesLeft([['RD', 'RD'], ['LB', 'LB'], []]), 0);
+});
+
+test('rejects an unknown algorithm', () => {
+  assert.throws(() => solvePuzzle(PUZZLE, 3, { algorithm: 'dfs' }), /Unknown solver algorithm/);
+});
+
+test('pour rules move whole runs and need no more moves', () => {
+  const tubes = [['RD', 'RD', 'LB'], ['LB', 'LB', 'RD'], []];
+  const single = solvePuzzle(tubes, 3, { algorithm: 'bfs' });
+  const pour = solvePuzzle(tubes, 3, { algorithm: 'bfs', rules: 'pour' });
+  assert.equal(pour.solvable, true);
+  assert.ok(pour.moves.length < single.moves.length);
+  assert.ok(pour.moves.some(move => move.count > 1));
+  assert.equal(isSolved(pour.moves.reduce(applyMove, tubes), 3), true);
+});
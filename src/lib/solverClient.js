@@ -0,0 +1,23 @@
+// Starts a task in a fresh solver worker and returns a function that stops it.
+// message.task picks the worker entry point ('solve', 'hint' or 'generate').
+export function runSolverTask(message, { onProgress, onResult, onError }) {
+  const worker = new Worker(new URL('../workers/solver.worker.js', import.meta.url), { type: 'module' });
+
+  worker.onmessage = (e) => {
+    const { type } = e.data;
+    if (type === 'progress') {
+      if (onProgress) onProgress(e.data.stats);
+    } else if (type === 'result') {
+      worker.terminate();
+      onResult(e.data.result);
+    }
+  };
+
+  worker.onerror = (e) => {
+    worker.terminate();
+    onError(e);
+  };
+
+  worker.postMessage(message);
+  return () => worker.terminate();
+}
@@ -0,0 +1,115 @@
+// Compact visited-set keys for the solvers.
+//
+// Each colour in the puzzle gets a small integer id (1..k, 0 is never used), and a
+// tube becomes a fixed number of 16-bit chunks holding its balls bottom-up in
+// fixed-width bit fields, as many whole balls per chunk as fit. The canonical key
+// sorts the tube codes, so two states that differ only in the order of their
+// tubes (including which empty tube is which) share one key. The chunks are the
+// code units of a string because Set/Map need primitive keys, and these strings
+// are several times smaller than the "RD,PK|..." form produced by serializeTubes.
+//
+// Tubes with their own attributes (see tubeSpecs in puzzle.js), or named by
+// another tube's unlock condition, are not interchangeable: they keep their
+// place at the front of the key and only the plain tubes are sorted.
+
+const CHUNK_BITS = 16;
+// Approximate V8 object sizes, used for memory estimates
+const STRING_HEADER_BYTES = 16;
+const ARRAY_HEADER_BYTES = 32;
+const POINTER_BYTES = 8;
+// A parent-pointer search node: object header plus a handful of fields
+export const NODE_BYTES = 64;
+// Map/Set bookkeeping per entry on top of the key itself
+export const ENTRY_BYTES = 24;
+
+function serializedLength(tubes) {
+  const balls = tubes.reduce((sum, tube) => sum + tube.length, 0);
+  const commas = tubes.reduce((sum, tube) => sum + Math.max(tube.length - 1, 0), 0);
+  return balls * 2 + commas + tubes.length - 1;
+}
+
+// Indices of tubes that cannot swap places with other tubes
+function fixedTubeIndices(tubeSpecs) {
+  const fixed = new Set();
+  (tubeSpecs || []).forEach((spec, idx) => {
+    if (!spec || Object.keys(spec).length === 0) return;
+    fixed.add(idx);
+    if (spec.unlock?.tube !== undefined) fixed.add(spec.unlock.tube);
+  });
+  return [...fixed].sort((a, b) => a - b);
+}
+
+export function createStateEncoder(tubes, maxBalls, { canonical = true, tubeSpecs = null } = {}) {
+  const colorIds = new Map();
+  tubes.forEach(tube => tube.forEach(ball => {
+    if (!colorIds.has(ball)) colorIds.set(ball, colorIds.size + 1);
+  }));
+
+  const bitsPerBall = Math.max(1, Math.ceil(Math.log2(colorIds.size + 1)));
+  const capacity = Math.max(maxBalls, ...(tubeSpecs || []).map(spec => spec?.capacity ?? 0));
+  const ballsPerChunk = Math.floor(CHUNK_BITS / bitsPerBall);
+  const chunksPerTube = Math.max(1, Math.ceil(capacity / ballsPerChunk));
+  const fixed = fixedTubeIndices(tubeSpecs);
+  const fixedSet = new Set(fixed);
+  const base = 2 ** bitsPerBall;
+
+  // Balls from (bottom-up) position start up to the chunk's end, as one 16-bit number
+  const encodeChunk = (tube, start) => {
+    let code = 0;
+    for (let j = Math.min(start + ballsPerChunk, tube.length) - 1; j >= start; j--) {
+      code = code * base + colorIds.get(tube[tube.length - 1 - j]);
+    }
+    return code;
+  };
+
+  // A number while a tube fits one chunk, else a string of chunksPerTube code units
+  const encodeTube = (tube) => {
+    if (chunksPerTube === 1) return encodeChunk(tube, 0);
+    const chunks = [];
+    for (let c = 0; c < chunksPerTube; c++) chunks.push(encodeChunk(tube, c * ballsPerChunk));
+    return String.fromCharCode(...chunks);
+  };
+
+  // Any fixed order will do for the canonical key; strings sort by code unit
+  const compareCodes = chunksPerTube === 1 ? (a, b) => a - b : undefined;
+
+  const sortTubeCodes = (state) => {
+    if (fixed.length === 0) return state.map(encodeTube).sort(compareCodes);
+    const free = state.filter((_, idx) => !fixedSet.has(idx)).map(encodeTube).sort(compareCodes);
+    return [...fixed.map(idx => encodeTube(state[idx])), ...free];
+  };
+
+  const encode = (state) => {
+    const codes = canonical ? sortTubeCodes(state) : state.map(encodeTube);
+    return chunksPerTube === 1 ? String.fromCharCode(...codes) : codes.join('');
+  };
+
+  const keyLength = tubes.length * chunksPerTube;
+
+  return {
+    encode,
+    scheme: canonical ? 'canonical' : 'ordered',
+    // Two bytes per UTF-16 code unit
+    bytesPerKey: STRING_HEADER_BYTES + keyLength * 2,
+    // serializeTubes output is one-byte ASCII: two characters per ball plus separators
+    legacyBytesPerKey: STRING_HEADER_BYTES + serializedLength(tubes)
+  };
+}
+
+// Heap cost of one tubes array (outer array plus one array per tube)
+export function estimateStateBytes(tubes) {
+  const balls = tubes.reduce((sum, tube) => sum + tube.length, 0);
+  return ARRAY_HEADER_BYTES + tubes.length * (POINTER_BYTES + ARRAY_HEADER_BYTES) + balls * POINTER_BYTES;
+}
+
+// Visited-set memory figures reported in searchStats.stateEncoding
+export function describeEncoding(encoder, visitedStates) {
+  return {
+    scheme: encoder.scheme,
+    visitedStates,
+    bytesPerKey: encoder.bytesPerKey,
+    legacyBytesPerKey: encoder.legacyBytesPerKey,
+    estimatedKeyBytes: visitedStates * encoder.bytesPerKey,
+    legacyEstimatedKeyBytes: visitedStates * encoder.legacyBytesPerKey
+  };
+}
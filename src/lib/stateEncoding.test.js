@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createStateEncoder } from './stateEncoding.js';
+import { solvePuzzle } from './solver.js';
+
+const TUBES = [['RD', 'LB', 'OR'], ['LB', 'OR', 'RD'], ['OR', 'RD', 'LB'], [], []];
+
+test('canonical keys ignore the order of the tubes', () => {
+  const { encode } = createStateEncoder(TUBES, 3);
+  assert.equal(encode(TUBES), encode([...TUBES].reverse()));
+  assert.equal(encode([['RD'], [], ['LB']]), encode([[], ['LB'], ['RD']]));
+});
+
+test('ordered keys keep the order of the tubes', () => {
+  const { encode } = createStateEncoder(TUBES, 3, { canonical: false });
+  assert.notEqual(encode(TUBES), encode([...TUBES].reverse()));
+});
+
+test('different positions get different keys', () => {
+  const { encode } = createStateEncoder(TUBES, 3);
+  const keys = [
+    TUBES,
+    [['LB', 'OR'], ['LB', 'OR', 'RD'], ['OR', 'RD', 'LB'], ['RD'], []],
+    [['RD', 'LB', 'OR'], ['OR', 'RD'], ['OR', 'RD', 'LB'], ['LB'], []],
+    // Same balls per tube, different order within a tube
+    [['LB', 'RD', 'OR'], ['LB', 'OR', 'RD'], ['OR', 'RD', 'LB'], [], []]
+  ].map(encode);
+  assert.equal(new Set(keys).size, keys.length);
+});
+
+test('tubes too wide for one 16-bit chunk still get canonical keys', () => {
+  // 16 colours take 5 bits a ball, so 11 balls need four chunks
+  const colors = ['LB', 'DB', 'LG', 'DG', 'PK', 'RD', 'OR', 'PU', 'GY', 'YE', 'BR', 'CY', 'MG', 'BK', 'WH', 'TL'];
+  const tubes = colors.map((_, i) => Array.from({ length: 11 }, (_, j) => colors[(i + j) % colors.length]));
+  const { encode } = createStateEncoder(tubes, 11);
+  assert.equal(encode(tubes), encode([...tubes].reverse()));
+  const swapped = tubes.map(tube => [...tube]);
+  [swapped[0][10], swapped[1][10]] = [swapped[1][10], swapped[0][10]];
+  assert.notEqual(encode(swapped), encode(tubes));
+});
+
+test('keys are smaller than serialized tubes', () => {
+  const encoder = createStateEncoder(TUBES, 3);
+  assert.ok(encoder.bytesPerKey < encoder.legacyBytesPerKey);
+});
+
+test('canonical keys explore fewer states than ordered ones', () => {
+  const canonical = solvePuzzle(TUBES, 3, { algorithm: 'bfs', compareEncodings: true });
+  const ordered = solvePuzzle(TUBES, 3, { algorithm: 'bfs', encoding: 'ordered' });
+  const comparison = canonical.searchStats.encodingComparison;
+  assert.equal(canonical.moves.length, ordered.moves.length);
+  assert.equal(comparison.orderedStatesExplored, ordered.searchStats.totalStatesExplored);
+  assert.ok(comparison.statesExploredReduction > 0);
+  assert.equal(comparison.orderedStoppedEarly, null);
+});
@@ -0,0 +1,92 @@
+import { DIFFICULTIES } from './generator.js';
+
+// Completed games, as stored in the history (see storage.js):
+//   { gameId, completedAt, difficulty, board: { colors, capacity, tubes }, rules,
+//     mystery, moves, timeMs, undos, hints, optimalMoves }
+// difficulty is the generator's rated tier, or 'Custom' for puzzles that were not
+// generated; optimalMoves is null when no optimal solution is known. mystery is true
+// for games played with the colours hidden from start to finish. moves counts every
+// move played, including ones later undone.
+
+export const STATS_GROUPS = [...Object.keys(DIFFICULTIES), 'Custom'];
+
+// Optimal moves as a share of the moves taken: 1 is a perfect game
+export function efficiency(record) {
+  return record.optimalMoves && record.moves > 0 ? record.optimalMoves / record.moves : null;
+}
+
+const dayKey = (date) => {
+  const d = new Date(date);
+  return `${d.getFullYear()}-${d.getMonth() + 1}-${d.getDate()}`;
+};
+
+const previousDay = (key) => {
+  const [year, month, day] = key.split('-').map(Number);
+  return dayKey(new Date(year, month - 1, day - 1));
+};
+
+// Streaks count consecutive days with at least one completed game; the current
+// streak is still alive if the last game was today or yesterday
+export function dayStreaks(history, now = new Date()) {
+  const days = new Set(history.map(record => dayKey(record.completedAt)));
+  let best = 0;
+  days.forEach(day => {
+    if (days.has(previousDay(day))) return;
+    let length = 0;
+    let key = day;
+    while (days.has(key)) {
+      length++;
+      const [year, month, date] = key.split('-').map(Number);
+      key = dayKey(new Date(year, month - 1, date + 1));
+    }
+    best = Math.max(best, length);
+  });
+
+  let current = 0;
+  let key = days.has(dayKey(now)) ? dayKey(now) : previousDay(dayKey(now));
+  while (days.has(key)) {
+    current++;
+    key = previousDay(key);
+  }
+  return { current, best };
+}
+
+const minOf = values => (values.length > 0 ? Math.min(...values) : null);
+const maxOf = values => (values.length > 0 ? Math.max(...values) : null);
+
+// Personal bests and history for one difficulty group
+export function summarizeGroup(history, group) {
+  const games = history.filter(record => record.difficulty === group);
+  const efficiencies = games.map(efficiency).filter(value => value !== null);
+  return {
+    games,
+    wins: games.length,
+    perfectGames: games.filter(record => efficiency(record) >= 1).length,
+    noHelpGames: games.filter(record => record.hints === 0 && record.undos === 0).length,
+    fewestMoves: minOf(games.map(record => record.moves)),
+    fastestMs: minOf(games.map(record => record.timeMs)),
+    bestEfficiency: maxOf(efficiencies),
+    averageEfficiency: efficiencies.length > 0
+      ? efficiencies.reduce((sum, value) => sum + value, 0) / efficiencies.length
+      : null,
+    streaks: dayStreaks(games)
+  };
+}
+
+export function summarizeStats(history) {
+  return {
+    totalWins: history.length,
+    streaks: dayStreaks(history),
+    groups: Object.fromEntries(STATS_GROUPS.map(group => [group, summarizeGroup(history, group)]))
+  };
+}
+
+export function formatDuration(ms) {
+  const seconds = Math.round(ms / 1000);
+  const minutes = Math.floor(seconds / 60);
+  return minutes > 0 ? `${minutes}m ${String(seconds % 60).padStart(2, '0')}s` : `${seconds}s`;
+}
+
+export function exportStats(history) {
+  return JSON.stringify({ exportedAt: new Date().toISOString(), games: history }, null, 2);
+}
@@ -0,0 +1,148 @@
+import { treeFromLine, pathTo } from './moveTree.js';
+
+// Saved games and settings in localStorage, under one key:
+//
+//   { version, settings, activeGameId, games: [{ id, savedAt, session }], history }
+//
+// settings holds the player's choices (difficulty, board setup, solver, rules, ...)
+// and each session is everything needed to resume a game: the start position,
+// current tubes, undo tree (see moveTree.js) and the last solver result. games is
+// ordered most recently saved first. history lists completed games for the stats
+// screen, oldest first (see stats.js).
+
+const STORAGE_KEY = 'ball-sort';
+export const STORAGE_VERSION = 6;
+export const MAX_SAVED_GAMES = 10;
+export const MAX_HISTORY = 1000;
+
+// MIGRATIONS[n] upgrades stored data from version n to n + 1. Bump STORAGE_VERSION
+// and add an entry here whenever the stored shape changes, so existing saves load.
+const MIGRATIONS = {
+  // Version 2 added the completed-games history and per-game undo and time counts
+  1: data => ({
+    ...data,
+    history: [],
+    games: data.games.map(game => ({ ...game, session: { undosUsed: 0, elapsedMs: 0, ...game.session } }))
+  }),
+  // Version 3 replaced the linear move history and redo stack with an undo tree
+  2: data => ({
+    ...data,
+    games: data.games.map(({ session: { moveHistory, redoStack, ...session }, ...game }) => ({
+      ...game,
+      session: { ...session, moveTree: treeFromLine(moveHistory, redoStack) }
+    }))
+  }),
+  // Version 4 records each game for replays; older games start theirs at the
+  // position they were saved in
+  3: data => ({
+    ...data,
+    games: data.games.map(game => {
+      const moves = pathTo(game.session.moveTree, game.session.moveTree.current);
+      return {
+        ...game,
+        session: {
+          ...game.session,
+          startedAt: Date.parse(game.savedAt) - game.session.elapsedMs,
+          events: moves.length > 0 ? [{ type: 'jump', at: 0, moves }] : []
+        }
+      };
+    })
+  }),
+  // Version 5 keeps the mystery mode a game started in; older games take the setting
+  4: data => ({
+    ...data,
+    games: data.games.map(game => ({
+      ...game,
+      session: { mystery: data.settings?.mysteryMode ?? false, ...game.session }
+    }))
+  }),
+  // Version 6 counts every move played, undone or not; older games only know the
+  // length of the current line
+  5: data => ({
+    ...data,
+    games: data.games.map(game => ({ ...game, session: { movesPlayed: game.session.moveCount, ...game.session } }))
+  })
+};
+
+function emptyState() {
+  return { version: STORAGE_VERSION, settings: {}, activeGameId: null, games: [], history: [] };
+}
+
+// Brings stored data up to STORAGE_VERSION. Data that is unreadable, from a newer
+// version of the app, or missing a migration step is dropped.
+export function migrateStoredState(data) {
+  if (!data || typeof data !== 'object' || !Number.isInteger(data.version)) return emptyState();
+  if (data.version > STORAGE_VERSION) return emptyState();
+
+  let migrated = data;
+  while (migrated.version < STORAGE_VERSION) {
+    const migrate = MIGRATIONS[migrated.version];
+    if (!migrate) return emptyState();
+    migrated = { ...migrate(migrated), version: migrated.version + 1 };
+  }
+  return { ...emptyState(), ...migrated };
+}
+
+export function loadStoredState() {
+  try {
+    const raw = localStorage.getItem(STORAGE_KEY);
+    return migrateStoredState(raw ? JSON.parse(raw) : null);
+  } catch {
+    return emptyState();
+  }
+}
+
+// Returns false when storage is unavailable or full
+export function saveStoredState(state) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify({ ...state, version: STORAGE_VERSION }));
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+export function createGameId() {
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+// Stores a game's session as the active game. Past MAX_SAVED_GAMES the oldest
+// finished games make room first, and only then the oldest unfinished ones; never
+// the game being saved. Returns { saved, dropped } with the unfinished games that
+// had to go, so the player can be told.
+export function saveGame(id, session) {
+  const state = loadStoredState();
+  const games = [
+    { id, savedAt: new Date().toISOString(), session },
+    ...state.games.filter(game => game.id !== id)
+  ];
+  const dropped = [];
+  while (games.length > MAX_SAVED_GAMES) {
+    const finished = games.findLastIndex((game, idx) => idx > 0 && game.session.isComplete);
+    const [removed] = games.splice(finished === -1 ? games.length - 1 : finished, 1);
+    if (!removed.session.isComplete) dropped.push(removed);
+  }
+  return { saved: saveStoredState({ ...state, activeGameId: id, games }), dropped };
+}
+
+export function deleteGame(id) {
+  const state = loadStoredState();
+  return saveStoredState({
+    ...state,
+    activeGameId: state.activeGameId === id ? null : state.activeGameId,
+    games: state.games.filter(game => game.id !== id)
+  });
+}
+
+export function saveSettings(settings) {
+  const state = loadStoredState();
+  return saveStoredState({ ...state, settings: { ...state.settings, ...settings } });
+}
+
+// Adds a completed game to the history. A game finished again after undoing is
+// only counted the first time.
+export function recordCompletedGame(record) {
+  const state = loadStoredState();
+  if (record.gameId && state.history.some(entry => entry.gameId === record.gameId)) return false;
+  return saveStoredState({ ...state, history: [...state.history, record].slice(-MAX_HISTORY) });
+}
@@ -0,0 +1,150 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  migrateStoredState, loadStoredState, saveGame, deleteGame, saveSettings, recordCompletedGame,
+  STORAGE_VERSION, MAX_SAVED_GAMES
+} from './storage.js';
+import { pathTo, redoTarget, treeFromLine } from './moveTree.js';
+
+// In-memory stand-in for the browser's localStorage
+beforeEach(() => {
+  const items = new Map();
+  globalThis.localStorage = {
+    getItem: key => items.get(key) ?? null,
+    setItem: (key, value) => items.set(key, String(value))
+  };
+});
+
+const MOVE = { from: 0, to: 2, ball: 'RD' };
+const REDO = { from: 1, to: 0, ball: 'LB' };
+
+const empty = { version: STORAGE_VERSION, settings: {}, activeGameId: null, games: [], history: [] };
+
+test('unreadable or newer data is dropped', () => {
+  [null, 'text', {}, { version: 'one' }, { version: STORAGE_VERSION + 1, games: [{ id: 'a' }] }].forEach(data => {
+    assert.deepEqual(migrateStoredState(data), empty);
+  });
+});
+
+test('current data loads as it was saved', () => {
+  const data = { ...empty, activeGameId: 'a', games: [{ id: 'a', savedAt: '', session: {} }] };
+  assert.deepEqual(migrateStoredState(data), data);
+});
+
+test('version 1 saves gain a history and undo and time counts', () => {
+  const migrated = migrateStoredState({
+    version: 1,
+    settings: {},
+    activeGameId: 'a',
+    games: [{ id: 'a', savedAt: '', session: { moveCount: 1, moveHistory: [MOVE], redoStack: [] } }]
+  });
+  assert.equal(migrated.version, STORAGE_VERSION);
+  assert.deepEqual(migrated.history, []);
+  assert.equal(migrated.games[0].session.moveCount, 1);
+  assert.equal(migrated.games[0].session.undosUsed, 0);
+  assert.equal(migrated.games[0].session.elapsedMs, 0);
+});
+
+test('version 2 move histories become undo trees', () => {
+  const { games: [{ session }] } = migrateStoredState({
+    version: 2,
+    settings: {},
+    activeGameId: 'a',
+    games: [{ id: 'a', savedAt: '', session: { moveCount: 1, moveHistory: [MOVE], redoStack: [REDO] } }],
+    history: []
+  });
+  assert.equal(session.moveHistory, undefined);
+  assert.deepEqual(pathTo(session.moveTree, session.moveTree.current), [MOVE]);
+  assert.deepEqual(redoTarget(session.moveTree), REDO);
+});
+
+test('version 3 games start their recording where they were saved', () => {
+  const tree = treeFromLine([MOVE]);
+  const { games: [{ session }, { session: fresh }] } = migrateStoredState({
+    version: 3,
+    settings: {},
+    activeGameId: 'a',
+    games: [
+      { id: 'a', savedAt: '2024-01-01T00:01:00.000Z', session: { moveTree: tree, elapsedMs: 60000 } },
+      { id: 'b', savedAt: '2024-01-01T00:00:00.000Z', session: { moveTree: treeFromLine([]), elapsedMs: 0 } }
+    ],
+    history: []
+  });
+  assert.equal(session.startedAt, Date.parse('2024-01-01T00:00:00.000Z'));
+  assert.deepEqual(session.events, [{ type: 'jump', at: 0, moves: [MOVE] }]);
+  assert.deepEqual(fresh.events, []);
+});
+
+test('version 4 games keep the mystery setting they were saved under', () => {
+  const migrate = (settings, session) => migrateStoredState({
+    version: 4, settings, activeGameId: 'a', games: [{ id: 'a', savedAt: '', session }], history: []
+  }).games[0].session;
+  assert.equal(migrate({ mysteryMode: true }, { events: [] }).mystery, true);
+  assert.equal(migrate({}, { events: [] }).mystery, false);
+});
+
+test('version 5 games start counting moves played from their current line', () => {
+  const { session } = migrateStoredState({
+    version: 5, settings: {}, activeGameId: 'a', games: [{ id: 'a', savedAt: '', session: { moveCount: 7 } }], history: []
+  }).games[0];
+  assert.equal(session.movesPlayed, 7);
+});
+
+test('the saved game becomes the active one, most recent first', () => {
+  saveGame('a', { moveCount: 1 });
+  saveGame('b', { moveCount: 2 });
+  saveGame('a', { moveCount: 3 });
+  const state = loadStoredState();
+  assert.equal(state.activeGameId, 'a');
+  assert.deepEqual(state.games.map(game => [game.id, game.session.moveCount]), [['a', 3], ['b', 2]]);
+});
+
+test('finished games make room before unfinished ones', () => {
+  saveGame('finished-old', { isComplete: true });
+  saveGame('finished-new', { isComplete: true });
+  for (let i = 2; i < MAX_SAVED_GAMES; i++) {
+    assert.deepEqual(saveGame(`game-${i}`, {}), { saved: true, dropped: [] });
+  }
+  assert.deepEqual(saveGame('one-more', {}).dropped, []);
+  assert.deepEqual(saveGame('and-another', {}).dropped, []);
+  const { games } = loadStoredState();
+  assert.equal(games.length, MAX_SAVED_GAMES);
+  assert.equal(games.some(game => game.session.isComplete), false);
+});
+
+test('the oldest unfinished game goes, and is reported, once nothing is finished', () => {
+  for (let i = 0; i < MAX_SAVED_GAMES; i++) saveGame(`game-${i}`, {});
+  assert.deepEqual(saveGame('game-0', {}).dropped, []);
+  assert.deepEqual(saveGame('one-more', {}).dropped.map(game => game.id), ['game-1']);
+  const { games } = loadStoredState();
+  assert.equal(games.length, MAX_SAVED_GAMES);
+  assert.deepEqual(games.slice(0, 2).map(game => game.id), ['one-more', 'game-0']);
+});
+
+test('deleting the active game leaves none active', () => {
+  saveGame('a', {});
+  saveGame('b', {});
+  deleteGame('b');
+  const state = loadStoredState();
+  assert.equal(state.activeGameId, null);
+  assert.deepEqual(state.games.map(game => game.id), ['a']);
+});
+
+test('settings are merged into the saved ones', () => {
+  saveSettings({ difficulty: 'Hard' });
+  saveSettings({ rules: 'pour' });
+  assert.deepEqual(loadStoredState().settings, { difficulty: 'Hard', rules: 'pour' });
+});
+
+test('a game finished twice is recorded once', () => {
+  assert.equal(recordCompletedGame({ gameId: 'a', moves: 10 }), true);
+  assert.equal(recordCompletedGame({ gameId: 'a', moves: 8 }), false);
+  assert.deepEqual(loadStoredState().history, [{ gameId: 'a', moves: 10 }]);
+});
+
+test('saving reports storage that is full or unavailable', () => {
+  globalThis.localStorage.setItem = () => {
+    throw new Error('QuotaExceededError');
+  };
+  assert.equal(saveSettings({ difficulty: 'Hard' }), false);
+});
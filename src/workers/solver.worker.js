@@ -0,0 +1,18 @@
+import { solvePuzzle } from '../lib/solver.js';
+import { findHint } from '../lib/hint.js';
+import { generatePuzzle } from '../lib/generator.js';
+
+const TASKS = {
+  solve: ({ tubes, maxBalls, options }, onProgress) => solvePuzzle(tubes, maxBalls, { ...options, onProgress }),
+  hint: ({ tubes, maxBalls, moveHistory, options }, onProgress) => findHint(tubes, maxBalls, moveHistory, { ...options, onProgress }),
+  generate: ({ difficulty, config, options }) => generatePuzzle(difficulty, config, options)
+};
+
+// Runs the search off the main thread and streams progress back to runSolverTask
+self.onmessage = (e) => {
+  const { task = 'solve', ...payload } = e.data;
+
+  const result = TASKS[task](payload, (stats) => self.postMessage({ type: 'progress', stats }));
+
+  self.postMessage({ type: 'result', result });
+};